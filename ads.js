@@ -1,540 +1,4794 @@
-// Function to detect device type
-function detectDeviceType() {
-  const ua = navigator.userAgent;
-  
-  if (/Mobile|Android|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(ua)) {
-    return /Tablet|iPad/i.test(ua) 
-      ? { name: "Tablet", val: 5 } 
-      : { name: "Phone", val: 4 };
-  }
-  if (/SmartTV|TV/i.test(ua)) return { name: "Connected TV", val: 3 };
-  if (/Mac|Windows|Linux/i.test(ua)) return { name: "Personal Computer", val: 2 };
-  return { name: "Connected Device", val: 6 };
+// Device detection: User-Agent Client Hints where available, UA rules otherwise.
+// Rules are ordered and the first match wins, so more specific entries come first.
+
+// OpenRTB devicetype values
+const DEVICE_TYPE_RULES = [
+  { name: "Connected TV", val: 3, test: /SmartTV|SMART-TV|HbbTV|Tizen.+TV|Web0S|webOS.+TV|NetCast|AppleTV|GoogleTV|Android TV|BRAVIA|\bAFT[A-Z]|CrKey|Roku/i },
+  { name: "Connected Device", val: 6, test: /PlayStation|Xbox|Nintendo/i },
+  { name: "Tablet", val: 5, test: /iPad|Tablet|Kindle|Silk|PlayBook|\bSM-[TX]\d|Android(?!.*Mobile)/i },
+  { name: "Phone", val: 4, test: /Mobile|iPhone|iPod|Android|BlackBerry|IEMobile|Opera Mini|Windows Phone/i },
+  { name: "Personal Computer", val: 2, test: /Macintosh|Windows NT|X11|Linux|CrOS/i },
+];
+
+const OS_RULES = [
+  { os: "iOS", test: /iPhone|iPad|iPod/, version: /OS (\d+(?:_\d+)*) like Mac OS X/ },
+  { os: "Tizen", test: /Tizen/, version: /Tizen (\d+(?:\.\d+)*)/ },
+  { os: "webOS", test: /Web0S|webOS/, version: null },
+  { os: "Android", test: /Android/, version: /Android (\d+(?:\.\d+)*)/ },
+  { os: "Windows", test: /Windows NT/, version: /Windows NT (\d+\.\d+)/ },
+  // The number after the CPU in "CrOS x86_64 14541.0.0" is the platform build;
+  // the OS version follows Chrome's
+  { os: "Chrome OS", test: /CrOS/, version: /CrOS .*\bChrome\/(\d+(?:\.\d+)*)/ },
+  { os: "macOS", test: /Macintosh|Mac OS X/, version: /Mac OS X (\d+(?:[_.]\d+)*)/ },
+  { os: "Linux", test: /Linux|X11/, version: null },
+];
+
+// Android model prefixes to manufacturer
+const MAKE_RULES = [
+  { make: "Samsung", test: /^(SM-|GT-|SAMSUNG|Galaxy)/i },
+  { make: "Google", test: /^Pixel/i },
+  { make: "Xiaomi", test: /^(Redmi|Mi |MI |M2\d{3}|POCO|Xiaomi)/ },
+  { make: "OnePlus", test: /^(ONEPLUS|OnePlus|IN20|KB20|LE2\d|NE2\d|CPH2[45]\d\d)/ },
+  { make: "Oppo", test: /^(CPH|OPPO|PD\d{4})/ },
+  { make: "Realme", test: /^(RMX|realme)/i },
+  { make: "Vivo", test: /^(V\d{4}|vivo)/i },
+  { make: "Motorola", test: /^(moto|Motorola|XT\d{4})/i },
+  { make: "Nokia", test: /^Nokia/i },
+  { make: "LG", test: /^(LM-|LG)/ },
+  { make: "Huawei", test: /^(HUAWEI|SNE-|ELE-|VOG-|ANE-|MAR-)/ },
+  { make: "Amazon", test: /^(KF|AFT)/ },
+  { make: "Sony", test: /^(SO-|XQ-|BRAVIA)/ },
+];
+
+/**
+ * Detects device properties from a User-Agent string alone
+ * @param {string} ua - User-Agent string
+ * @param {Object} [hints] - { maxTouchPoints } to tell iPadOS from macOS
+ * @returns {Object} { devicetype, make, model, os, osv }
+ */
+function detectDeviceFromUserAgent(ua, hints = {}) {
+  // iPadOS 13+ Safari sends a desktop macOS UA; only touch support gives it away
+  const iPadAsMac = /Macintosh/.test(ua) && hints.maxTouchPoints > 1;
+
+  const typeRule = iPadAsMac
+    ? DEVICE_TYPE_RULES.find(rule => rule.name === "Tablet")
+    : DEVICE_TYPE_RULES.find(rule => rule.test.test(ua));
+
+  const osRule = iPadAsMac ? OS_RULES[0] : OS_RULES.find(rule => rule.test.test(ua));
+  let osv = osRule?.version ? (ua.match(osRule.version)?.[1] || "") : "";
+  osv = osv.replace(/_/g, ".");
+  if (osRule?.os === "Windows") {
+    // Windows NT 10.0 covers Windows 10 and 11; only Client Hints can tell them apart
+    osv = { "10.0": "10", "6.3": "8.1", "6.2": "8", "6.1": "7" }[osv] || osv;
+  }
+  if (iPadAsMac) {
+    osv = "";
+  }
+
+  let make = "";
+  let model = "";
+  if (/iPhone|iPad|iPod/.test(ua) || iPadAsMac) {
+    make = "Apple";
+    model = iPadAsMac ? "iPad" : ua.match(/iPhone|iPad|iPod/)[0];
+  } else if (/Macintosh/.test(ua)) {
+    make = "Apple";
+    model = "Mac";
+  } else if (/Tizen/.test(ua)) {
+    make = "Samsung";
+  } else if (/Web0S|webOS/.test(ua)) {
+    make = "LG";
+  } else if (/Android/.test(ua)) {
+    model = (ua.match(/;\s*([^;)]+?)\s+Build\//) || ua.match(/Android [\d.]+;\s*([^;)]+)\)/))?.[1]?.trim() || "";
+    // Chrome's reduced UA replaces the model with "K"
+    if (model === "K") {
+      model = "";
+    }
+    make = MAKE_RULES.find(rule => rule.test.test(model))?.make || "";
+  }
+
+  return {
+    devicetype: typeRule ? typeRule.val : 6,
+    make,
+    model,
+    os: osRule?.os || "",
+    osv,
+  };
+}
+
+/**
+ * Detects the device for the bid request, preferring User-Agent Client
+ * Hints (high entropy values) over UA parsing where the browser has them
+ * @returns {Promise<Object>} { devicetype, make, model, os, osv, sua }
+ */
+async function detectDevice() {
+  const device = detectDeviceFromUserAgent(navigator.userAgent, { maxTouchPoints: navigator.maxTouchPoints });
+  const uaData = navigator.userAgentData;
+  if (!uaData) return { ...device, sua: null };
+
+  let values = null;
+  try {
+    values = await Promise.race([
+      uaData.getHighEntropyValues(["architecture", "bitness", "model", "platformVersion", "fullVersionList"]),
+      new Promise(resolve => setTimeout(() => resolve(null), 300)),
+    ]);
+  } catch (error) {
+    console.warn("User-Agent Client Hints unavailable:", error);
+  }
+
+  const platform = uaData.platform || "";
+  const platformVersion = values?.platformVersion || "";
+  const brands = values?.fullVersionList || uaData.brands || [];
+
+  // OpenRTB 2.6 structured user agent; source 2 = high entropy, 1 = low entropy only
+  const sua = {
+    browsers: brands.map(({ brand, version }) => ({ brand, version: String(version).split(".") })),
+    platform: { brand: platform, version: platformVersion ? platformVersion.split(".") : [] },
+    mobile: uaData.mobile ? 1 : 0,
+    source: values ? 2 : 1,
+  };
+  if (values?.architecture) sua.architecture = values.architecture;
+  if (values?.bitness) sua.bitness = values.bitness;
+  if (values?.model) sua.model = values.model;
+
+  let osv = device.osv;
+  if (platform === "Windows" && platformVersion) {
+    // platformVersion 13+ is Windows 11, 1-10 is Windows 10
+    osv = parseInt(platformVersion, 10) >= 13 ? "11" : "10";
+  } else if (/^Chrom(e|ium) OS$/.test(platform)) {
+    // platformVersion is the platform build here, as in the UA
+    osv = brands.find(({ brand }) => /^(Google Chrome|Chromium)$/.test(brand))?.version || osv;
+  } else if (platformVersion) {
+    osv = platformVersion;
+  }
+
+  let devicetype = device.devicetype;
+  if (platform === "Android" && devicetype !== 3) {
+    devicetype = uaData.mobile ? 4 : 5;
+  }
+
+  const model = values?.model || device.model;
+
+  return {
+    devicetype,
+    make: device.make || MAKE_RULES.find(rule => rule.test.test(model))?.make || "",
+    model,
+    os: { macOS: "macOS", "Chrome OS": "Chrome OS", "Chromium OS": "Chrome OS" }[platform] || platform || device.os,
+    osv,
+    sua,
+  };
+}
+
+/**
+ * Ordered chain of context/identity providers. Each provider is
+ *   { name, timeout, load({ consent }) -> Promise<Object> }
+ * and may return any of: geo, ip, ipv6, userId, eids, userData. For single
+ * values the first provider in the chain wins; eids and userData accumulate.
+ */
+class ContextProviderChain {
+  constructor() {
+    this.providers = [];
+  }
+
+  register(provider) {
+    if (!provider?.name || typeof provider.load !== "function") {
+      console.error("Invalid context provider:", provider);
+      return;
+    }
+    this.providers = this.providers.filter(existing => existing.name !== provider.name).concat(provider);
+  }
+
+  async resolve(environment) {
+    const results = await Promise.all(this.providers.map(provider => new Promise(resolve => {
+      const timeout = provider.timeout || 500;
+      const timer = setTimeout(() => {
+        console.warn(`Context provider "${provider.name}" timed out after ${timeout}ms`);
+        resolve(null);
+      }, timeout);
+
+      Promise.resolve()
+        .then(() => provider.load(environment))
+        .catch(error => {
+          console.warn(`Context provider "${provider.name}" failed:`, error);
+          return null;
+        })
+        .then(result => {
+          clearTimeout(timer);
+          resolve(result);
+        });
+    })));
+
+    const context = { geo: null, ip: null, ipv6: null, userId: null, eids: [], userData: [] };
+    results.forEach(result => {
+      if (!result) return;
+
+      ["geo", "ip", "ipv6", "userId"].forEach(key => {
+        if (context[key] === null && result[key]) {
+          context[key] = result[key];
+        }
+      });
+
+      (result.eids || []).forEach(eid => {
+        if (eid?.source && !context.eids.some(existing => existing.source === eid.source)) {
+          context.eids.push(eid);
+        }
+      });
+      context.userData.push(...(result.userData || []));
+    });
+
+    return validateContext(context);
+  }
 }
 
-// Dummy user details object - replace with your specific dummy data
-const dummyUserDetails = {
-  geo: {
-    lat: 37.7749,
-    lon: -122.4194,
-    type: 1,
-    country: "IND",
-    region: "HR",
-    city: "Panipat"
+// Built-in providers, in priority order
+const contextProviders = new ContextProviderChain();
+
+// 1. Publisher config: window.adSystemContext as an object or a function returning one (or a promise)
+contextProviders.register({
+  name: "publisher",
+  timeout: 500,
+  load: (environment) => {
+    const source = window.adSystemContext;
+    return typeof source === "function" ? source(environment) : source || null;
   },
-  ipv6: "2001:0db8:85a3:0000:0000:8a2e:0370:7334"
+});
+
+// 2. Server-injected JSON: <script type="application/json" id="ad-context">{...}</script>
+contextProviders.register({
+  name: "server",
+  timeout: 100,
+  load: () => {
+    const element = document.getElementById("ad-context");
+    return element ? JSON.parse(element.textContent) : null;
+  },
+});
+
+// 3. First-party ID kept in localStorage, only with storage consent (TCF purpose 1)
+contextProviders.register({
+  name: "first-party-id",
+  timeout: 100,
+  load: ({ consent }) => {
+    if (!consent.allowsPurpose(1)) return null;
+
+    const key = "ad_fpid";
+    let id = localStorage.getItem(key);
+    if (!id) {
+      id = crypto.randomUUID ? crypto.randomUUID() : Math.random().toString(36).substring(2) + Date.now().toString(36);
+      localStorage.setItem(key, id);
+    }
+
+    return {
+      userId: id,
+      eids: [{ source: window.location.hostname, uids: [{ id, atype: 1 }] }],
+    };
+  },
+});
+
+// Publishers can add providers before the ad system initializes
+function registerContextProvider(provider) {
+  contextProviders.register(provider);
+}
+
+// Rough bounding boxes ([minLat, maxLat, minLon, maxLon]) used to catch geo that contradicts its country
+const COUNTRY_BOUNDS = {
+  IND: [6, 36, 68, 98],
+  USA: [18, 72, -180, -66],
+  GBR: [49, 61, -9, 2],
+  CAN: [41, 84, -141, -52],
+  AUS: [-44, -10, 112, 154],
+  DEU: [47, 55, 5, 16],
+  FRA: [41, 51.5, -5.5, 10],
+  SGP: [1.1, 1.5, 103.6, 104.1],
+  ARE: [22.5, 26.5, 51, 56.5],
 };
 
-// Initialize ad system configuration
-function initializeAdSystemConfig() {
-  const deviceDetails = detectDeviceType();
-  
-  window.adSystemConfig = {
-    geo: dummyUserDetails.geo,
-    ipv6: dummyUserDetails.ipv6,
-    deviceType: deviceDetails.val,
-    deviceMake: navigator.vendor || "Unknown",
-    deviceModel: navigator.platform || "Unknown",
-    deviceOs: navigator.userAgentData?.platform || navigator.platform || "Unknown",
-    deviceOsVersion: navigator.userAgent.match(/OS ([\\d_]+)/)?.[1] || "Unknown",
-    deviceCarrier: "unknown",
-  };
+/**
+ * Drops geo and IP values that are obviously fake or inconsistent so they
+ * are never sent in a bid request: out-of-range or 0,0 coordinates,
+ * coordinates outside the stated country, and documentation, private or
+ * loopback addresses
+ * @param {Object} context - Merged provider output
+ * @returns {Object} The same context with bad fields removed
+ */
+function validateContext(context) {
+  const geo = context.geo ? { ...context.geo } : null;
+
+  if (geo) {
+    const hasCoordinates = typeof geo.lat === "number" && typeof geo.lon === "number";
+    const bounds = COUNTRY_BOUNDS[geo.country];
+    let reason = null;
+
+    if (geo.country && !/^[A-Z]{3}$/.test(geo.country)) {
+      console.warn("Discarding geo.country, expected ISO-3166-1 alpha-3:", geo.country);
+      delete geo.country;
+    }
+
+    if (hasCoordinates) {
+      if (Math.abs(geo.lat) > 90 || Math.abs(geo.lon) > 180) {
+        reason = "out of range";
+      } else if (geo.lat === 0 && geo.lon === 0) {
+        reason = "null island (0,0)";
+      } else if (bounds && (geo.lat < bounds[0] || geo.lat > bounds[1] || geo.lon < bounds[2] || geo.lon > bounds[3])) {
+        reason = `outside ${geo.country}`;
+      }
+    } else if (geo.lat !== undefined || geo.lon !== undefined) {
+      reason = "incomplete";
+    }
+
+    if (reason) {
+      console.warn(`Discarding geo coordinates (${reason}):`, geo.lat, geo.lon);
+      delete geo.lat;
+      delete geo.lon;
+      delete geo.type;
+    }
+  }
+
+  // Unspecified and loopback (::, ::1), link-local fe80::/10, unique local
+  // fc00::/7, multicast ff00::/8 and the 2001:db8::/32 documentation range
+  const privateIpv6 = /^(::1?$|fe[89ab][0-9a-f]:|f[cd][0-9a-f]{0,2}:|ff[0-9a-f]{2}:|2001:0?db8:)/i;
+  const ipv6 = context.ipv6 && (privateIpv6.test(context.ipv6) || !/^[0-9a-f:.]+$/i.test(context.ipv6) || !context.ipv6.includes(":")) ? null : context.ipv6;
+  if (context.ipv6 && !ipv6) {
+    console.warn("Discarding private, reserved or malformed IPv6 address:", context.ipv6);
+  }
+
+  const privateIpv4 = /^(10\.|127\.|0\.|169\.254\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|192\.0\.2\.|198\.51\.100\.|203\.0\.113\.)/;
+  const ip = context.ip && (privateIpv4.test(context.ip) || !/^\d{1,3}(\.\d{1,3}){3}$/.test(context.ip)) ? null : context.ip;
+  if (context.ip && !ip) {
+    console.warn("Discarding private, reserved or malformed IPv4 address:", context.ip);
+  }
+
+  return {
+    ...context,
+    geo: geo && Object.keys(geo).length ? geo : null,
+    ip,
+    ipv6,
+  };
+}
+
+// Resolves with window.adSystemConfig once the provider chain has run, for
+// scripts that need the config without polling for it
+let resolveAdSystemConfig;
+window.adSystemConfigReady = new Promise(resolve => {
+  resolveAdSystemConfig = resolve;
+});
+
+/**
+ * Builds window.adSystemConfig from the device and the context provider
+ * chain, then signals readiness through window.adSystemConfigReady and an
+ * "adsystem:configready" event
+ * @param {Object} environment - { consent } passed to every provider
+ * @returns {Promise<Object>} The config
+ */
+async function initializeAdSystemConfig(environment) {
+  const [device, context] = await Promise.all([
+    detectDevice(),
+    contextProviders.resolve(environment),
+  ]);
+
+  window.adSystemConfig = {
+    geo: context.geo || undefined,
+    ip: context.ip || undefined,
+    ipv6: context.ipv6 || undefined,
+    userId: context.userId || undefined,
+    eids: context.eids,
+    userData: context.userData,
+    deviceType: device.devicetype,
+    deviceMake: device.make || undefined,
+    deviceModel: device.model || undefined,
+    deviceOs: device.os || undefined,
+    deviceOsVersion: device.osv || undefined,
+    deviceSua: device.sua || undefined,
+    deviceCarrier: "unknown",
+  };
+
+  resolveAdSystemConfig(window.adSystemConfig);
+  document.dispatchEvent(new CustomEvent("adsystem:configready", { detail: window.adSystemConfig }));
+  return window.adSystemConfig;
+}
+
+/**
+ * Creates a bidder adapter for any OpenRTB 2.6 endpoint, for use with
+ * AdSystem#registerBidder (or window.adSystemOptions.bidders)
+ * @param {string} code - Bidder name reported in auctions
+ * @param {string} url - Endpoint accepting OpenRTB POST requests
+ * @returns {Object} Bidder adapter
+ */
+function createOrtbBidderAdapter(code, url) {
+  return {
+    code,
+    buildRequest(slot, context) {
+      return {
+        url,
+        data: {
+          id: "req-" + Math.random().toString(36).substring(2, 12),
+          imp: [context.imp],
+          site: context.site,
+          device: context.device,
+          regs: context.regs,
+          user: context.user,
+          at: 1,
+          tmax: context.tmax,
+          cur: [context.cur],
+          bcat: context.bcat,
+          badv: context.badv,
+        },
+      };
+    },
+    interpretResponse(body) {
+      const bids = [];
+      (body?.seatbid || []).forEach(seatbid => {
+        (seatbid.bid || []).forEach(bid => {
+          bids.push({
+            price: Number(bid.price) || 0,
+            currency: body.cur || "USD", // OpenRTB default currency
+            bidResponse: { ...body, ad_type: "ortb", seatbid: [{ ...seatbid, bid: [bid] }] },
+            nurl: bid.nurl || null,
+            burl: bid.burl || null,
+            lurl: bid.lurl || null,
+          });
+        });
+      });
+      return bids;
+    },
+  };
+}
+
+/**
+ * Runs inside sandboxed creative iframes (serialized into srcdoc). Exposes
+ * window.adBridge to the creative and forwards link clicks to the host page.
+ * @param {string} token - Per-frame token the host uses to match messages
+ */
+function safeFrameBridge(token) {
+  const listeners = { geometry: [], status: [] };
+  const post = (message) => parent.postMessage({ ...message, sfToken: token }, "*");
+
+  window.adBridge = {
+    click: (url) => post({ type: "click", url }),
+    resize: (width, height) => post({ type: "resize", width, height }),
+    expand: (offsets = {}) => post({ type: "expand", ...offsets }),
+    collapse: () => post({ type: "collapse" }),
+    on: (type, callback) => listeners[type]?.push(callback),
+    geometry: null,
+  };
+
+  // Legacy creatives fire their impression pixel via onload="sendUrl('...')"
+  window.sendUrl = (url) => {
+    new Image().src = url;
+  };
+
+  window.addEventListener("message", (event) => {
+    if (event.source !== parent || event.data?.sfToken !== token) return;
+    if (event.data.type === "geometry") {
+      window.adBridge.geometry = event.data;
+    }
+    (listeners[event.data.type] || []).forEach(callback => callback(event.data));
+  });
+
+  // The sandbox blocks top navigation, so link clicks are routed to the host
+  document.addEventListener("click", (event) => {
+    const anchor = event.target.closest?.("a[href]");
+    if (!anchor) return;
+    event.preventDefault();
+    window.adBridge.click(anchor.href);
+  }, true);
+}
+
+/**
+ * Loads VAST 4.x documents and resolves Wrapper chains into a single linear
+ * ad model. Impression, error and tracking URLs from every wrapper are merged
+ * into the final model so they all fire alongside the InLine ad's own.
+ */
+class VastParser {
+  constructor(options = {}) {
+    this.maxWrapperDepth = options.maxWrapperDepth || 5;
+    this.timeout = options.timeout || 3000;
+  }
+
+  static emptyAd() {
+    return {
+      id: null,
+      impressions: [],
+      errors: [],
+      tracking: {},
+      clickThrough: null,
+      clickTracking: [],
+      mediaFiles: [],
+      duration: 0,
+      skipOffset: null,
+    };
+  }
+
+  /**
+   * @param {Object} source - { xml } for inline VAST or { url } for a VAST tag
+   * @returns {Promise<Object>} The merged linear ad
+   * @throws {Error} With `vastCode` and the `errorUrls` collected so far
+   */
+  async load(source) {
+    const chain = VastParser.emptyAd();
+    let xml = source.xml;
+    let url = source.url;
+
+    for (let depth = 0; depth <= this.maxWrapperDepth; depth++) {
+      if (!xml) {
+        xml = await this.fetchXml(url, chain, depth > 0 ? 301 : 900);
+      }
+
+      const doc = new DOMParser().parseFromString(xml, "text/xml");
+      if (doc.querySelector("parsererror") || doc.documentElement.nodeName !== "VAST") {
+        throw this.error("Invalid VAST XML", 100, chain);
+      }
+
+      // Take the first stand-alone ad; ad pods are not supported
+      const ad = Array.from(doc.documentElement.children).find(node => node.nodeName === "Ad");
+      if (!ad) {
+        this.texts(doc.documentElement, "Error").forEach(errorUrl => chain.errors.push(errorUrl));
+        throw this.error("VAST response contains no ads", 303, chain);
+      }
+
+      const inline = this.child(ad, "InLine");
+      const wrapper = this.child(ad, "Wrapper");
+      const body = inline || wrapper;
+      if (!body) {
+        throw this.error("VAST ad has neither InLine nor Wrapper", 101, chain);
+      }
+
+      chain.id = chain.id || ad.getAttribute("id");
+      this.mergeCommon(chain, body);
+
+      if (inline) {
+        const linear = this.findLinear(inline);
+        if (!linear) {
+          throw this.error("VAST InLine ad has no Linear creative", 201, chain);
+        }
+
+        chain.duration = this.parseTime(this.text(this.child(linear, "Duration")));
+        chain.skipOffset = this.parseOffset(linear.getAttribute("skipoffset"), chain.duration);
+        chain.clickThrough = this.text(this.child(this.child(linear, "VideoClicks"), "ClickThrough")) || null;
+        chain.mediaFiles = Array.from(this.child(linear, "MediaFiles")?.children || [])
+          .filter(node => node.nodeName === "MediaFile")
+          .map(node => ({
+            url: this.text(node),
+            type: node.getAttribute("type") || "",
+            codec: node.getAttribute("codec") || "",
+            delivery: node.getAttribute("delivery") || "progressive",
+            width: parseInt(node.getAttribute("width"), 10) || 0,
+            height: parseInt(node.getAttribute("height"), 10) || 0,
+            bitrate: parseInt(node.getAttribute("bitrate"), 10) || 0,
+          }))
+          .filter(mediaFile => mediaFile.url);
+        return chain;
+      }
+
+      url = this.text(this.child(wrapper, "VASTAdTagURI"));
+      xml = null;
+      if (!url) {
+        throw this.error("VAST Wrapper has no VASTAdTagURI", 300, chain);
+      }
+    }
+
+    throw this.error("VAST wrapper limit reached", 302, chain);
+  }
+
+  async fetchXml(url, chain, timeoutCode) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      const response = await fetch(url, { credentials: "omit", signal: controller.signal });
+      if (!response.ok) throw new Error(`HTTP Error ${response.status}`);
+      return await response.text();
+    } catch (error) {
+      throw this.error(`VAST request failed: ${error.message}`, error.name === "AbortError" ? timeoutCode : 300, chain);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Impressions, errors, tracking events and click trackers accumulate across the chain
+  mergeCommon(chain, body) {
+    chain.impressions.push(...this.texts(body, "Impression"));
+    chain.errors.push(...this.texts(body, "Error"));
+
+    const linear = this.findLinear(body);
+    if (!linear) return;
+
+    Array.from(this.child(linear, "TrackingEvents")?.children || []).forEach(node => {
+      const event = node.getAttribute("event");
+      const trackingUrl = this.text(node);
+      if (!event || !trackingUrl) return;
+      (chain.tracking[event] = chain.tracking[event] || []).push(trackingUrl);
+    });
+
+    chain.clickTracking.push(...this.texts(this.child(linear, "VideoClicks"), "ClickTracking"));
+  }
+
+  findLinear(body) {
+    const creatives = Array.from(this.child(body, "Creatives")?.children || []);
+    for (const creative of creatives) {
+      const linear = this.child(creative, "Linear");
+      if (linear) return linear;
+    }
+    return null;
+  }
+
+  child(node, name) {
+    return node ? Array.from(node.children).find(childNode => childNode.nodeName === name) || null : null;
+  }
+
+  text(node) {
+    return node?.textContent.trim() || "";
+  }
+
+  texts(node, name) {
+    return node
+      ? Array.from(node.children).filter(childNode => childNode.nodeName === name).map(childNode => this.text(childNode)).filter(Boolean)
+      : [];
+  }
+
+  // "HH:MM:SS" or "HH:MM:SS.mmm" to seconds
+  parseTime(value) {
+    const match = /^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/.exec(value || "");
+    return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : 0;
+  }
+
+  // skipoffset is a timecode or a percentage of the duration
+  parseOffset(value, duration) {
+    if (!value) return null;
+    if (value.endsWith("%")) return (parseFloat(value) / 100) * duration;
+    return this.parseTime(value);
+  }
+
+  error(message, vastCode, chain) {
+    const error = new Error(message);
+    error.name = "VastError";
+    error.vastCode = vastCode;
+    error.errorUrls = chain.errors.slice();
+    return error;
+  }
+}
+
+/**
+ * Reads consent from the page's CMPs (IAB TCF v2.2 __tcfapi, GPP __gpp and
+ * US Privacy __uspapi) and answers the questions the ad system needs:
+ * which OpenRTB regs/user fields to send, whether trackers may fire and how
+ * precise device geo and IP may be.
+ */
+class ConsentManager {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 1000;
+    // Geo precision when no CMP answered at all: "coarse" or "none"
+    this.unknownGeoPrecision = options.unknownGeoPrecision || "coarse";
+    this.state = {
+      gdprApplies: null,
+      tcString: null,
+      purposeConsents: {},
+      purposeLegitimateInterests: {},
+      specialFeatureOptins: {},
+      gppString: null,
+      gppSid: [],
+      usPrivacy: null,
+    };
+  }
+
+  /**
+   * Queries every CMP present on the page. CMPs that do not answer within
+   * the timeout are treated as absent.
+   * @returns {Promise<Object>} The consent state
+   */
+  async load() {
+    await Promise.all([
+      this.withTimeout(this.loadTcf()),
+      this.withTimeout(this.loadGpp()),
+      this.withTimeout(this.loadUsp()),
+    ]);
+    return this.state;
+  }
+
+  withTimeout(promise) {
+    return Promise.race([
+      promise.catch(error => console.warn("Consent lookup failed:", error)),
+      new Promise(resolve => setTimeout(resolve, this.timeout)),
+    ]);
+  }
+
+  loadTcf() {
+    if (typeof window.__tcfapi !== "function") return Promise.resolve();
+
+    return new Promise(resolve => {
+      window.__tcfapi("addEventListener", 2, (tcData, success) => {
+        if (!success || !tcData) return;
+
+        // Wait until the TC string is final for this page view
+        if (tcData.gdprApplies && tcData.eventStatus !== "tcloaded" && tcData.eventStatus !== "useractioncomplete") return;
+
+        this.state.gdprApplies = !!tcData.gdprApplies;
+        this.state.tcString = tcData.tcString || null;
+        this.state.purposeConsents = tcData.purpose?.consents || {};
+        this.state.purposeLegitimateInterests = tcData.purpose?.legitimateInterests || {};
+        this.state.specialFeatureOptins = tcData.specialFeatureOptins || {};
+        resolve();
+      });
+    });
+  }
+
+  loadGpp() {
+    if (typeof window.__gpp !== "function") return Promise.resolve();
+
+    return new Promise(resolve => {
+      window.__gpp("addEventListener", (event) => {
+        const pingData = event?.pingData;
+        if (!pingData || pingData.signalStatus !== "ready") return;
+
+        this.state.gppString = pingData.gppString || null;
+        this.state.gppSid = pingData.applicableSections || [];
+        resolve();
+      });
+    });
+  }
+
+  loadUsp() {
+    if (typeof window.__uspapi !== "function") return Promise.resolve();
+
+    return new Promise(resolve => {
+      window.__uspapi("getUSPData", 1, (uspData, success) => {
+        if (success && uspData?.uspString) {
+          this.state.usPrivacy = uspData.uspString;
+        }
+        resolve();
+      });
+    });
+  }
+
+  // TCF only restricts processing where GDPR applies
+  allowsPurpose(purpose, allowLegitimateInterest = false) {
+    if (!this.state.gdprApplies) return true;
+    return !!this.state.purposeConsents[purpose] ||
+      (allowLegitimateInterest && !!this.state.purposeLegitimateInterests[purpose]);
+  }
+
+  // US Privacy string "1YYN": third character Y means the user opted out of sale
+  optedOutOfSale() {
+    return this.state.usPrivacy?.charAt(2) === "Y";
+  }
+
+  /**
+   * How much device geo/IP detail may be sent:
+   * "precise" with consent, "coarse" without TCF special feature 1 or after a
+   * US opt-out, "none" when GDPR applies and there is no TC string at all.
+   * Without any consent signal it is unknownGeoPrecision ("coarse" by default).
+   * @returns {string}
+   */
+  geoPrecision() {
+    const { gdprApplies, usPrivacy, gppString } = this.state;
+    if (gdprApplies === null && !usPrivacy && !gppString) return this.unknownGeoPrecision;
+    if (gdprApplies && !this.state.tcString) return "none";
+    if (gdprApplies && !this.state.specialFeatureOptins[1]) return "coarse";
+    if (this.optedOutOfSale()) return "coarse";
+    return "precise";
+  }
+
+  // Measurement trackers need purpose 7, under consent or legitimate interest
+  allowsTracking() {
+    return this.allowsPurpose(7, true);
+  }
+
+  regs() {
+    const regs = {};
+    if (this.state.gdprApplies !== null) {
+      regs.gdpr = this.state.gdprApplies ? 1 : 0;
+    }
+    if (this.state.usPrivacy) {
+      regs.us_privacy = this.state.usPrivacy;
+    }
+    if (this.state.gppString) {
+      regs.gpp = this.state.gppString;
+      regs.gpp_sid = this.state.gppSid;
+    }
+    // OpenRTB 2.5 location for bidders that have not moved to 2.6
+    regs.ext = { gdpr: regs.gdpr, us_privacy: regs.us_privacy };
+    return regs;
+  }
+
+  user() {
+    return this.state.tcString
+      ? { consent: this.state.tcString, ext: { consent: this.state.tcString } }
+      : {};
+  }
+
+  // Fills IAB URL consent macros such as ${GDPR} and ${GDPR_CONSENT_123}
+  applyMacros(url) {
+    return url
+      .replace(/\$\{GDPR\}/g, this.state.gdprApplies === null ? "" : (this.state.gdprApplies ? "1" : "0"))
+      .replace(/\$\{GDPR_CONSENT_\d+\}/g, encodeURIComponent(this.state.tcString || ""))
+      .replace(/\$\{US_PRIVACY\}/g, encodeURIComponent(this.state.usPrivacy || ""))
+      .replace(/\$\{GPP_STRING_\d+\}/g, encodeURIComponent(this.state.gppString || ""))
+      .replace(/\$\{GPP_SID\}/g, encodeURIComponent(this.state.gppSid.join(",")));
+  }
+}
+
+/**
+ * Installs a local CMP stub answering __tcfapi, __gpp and __uspapi, for
+ * testing consent handling without a real CMP. Loaded automatically with
+ * ?cmpstub=grant or ?cmpstub=deny when the page has no CMP of its own.
+ * @param {string} mode - "grant" or "deny"
+ */
+function installCmpStub(mode) {
+  const granted = mode === "grant";
+  const allPurposes = {};
+  for (let purpose = 1; purpose <= 11; purpose++) {
+    allPurposes[purpose] = granted;
+  }
+
+  const tcData = {
+    tcString: granted ? "STUB-TCF-GRANTED" : "STUB-TCF-DENIED",
+    gdprApplies: true,
+    eventStatus: "tcloaded",
+    cmpStatus: "loaded",
+    purpose: { consents: allPurposes, legitimateInterests: allPurposes },
+    specialFeatureOptins: { 1: granted, 2: false },
+  };
+
+  window.__tcfapi = (command, version, callback) => {
+    if (command === "addEventListener" || command === "getTCData" || command === "ping") {
+      callback({ ...tcData, listenerId: 1 }, true);
+    }
+  };
+
+  window.__gpp = (command, callback) => {
+    const pingData = {
+      gppVersion: "1.1",
+      signalStatus: "ready",
+      gppString: granted ? "STUB-GPP-GRANTED" : "STUB-GPP-DENIED",
+      applicableSections: [2],
+    };
+    if (command === "addEventListener") {
+      callback({ eventName: "signalStatus", data: "ready", pingData }, true);
+    } else if (command === "ping") {
+      callback(pingData, true);
+    }
+  };
+
+  window.__uspapi = (command, version, callback) => {
+    if (command === "getUSPData") {
+      callback({ version: 1, uspString: granted ? "1YNN" : "1YYN" }, true);
+    }
+  };
+}
+
+/**
+ * Durable delivery pipeline for tracking events. Journey events are batched
+ * into one POST to update-adjourney; third-party pixels are sent one by one.
+ * Undelivered events are kept in localStorage and retried (also on the next
+ * page view). Every event carries a key (bid_id + event for journeys, bid_id
+ * + tracker for pixels of a bid, one per fire for other pixels) that is
+ * recorded once delivered, so a retried or adopted event is never sent twice,
+ * even across tabs.
+ */
+class EventQueue {
+  constructor(options = {}) {
+    this.journeyUrl = options.journeyUrl;
+    this.onDebug = options.onDebug || (() => {});
+    this.pageId = Math.random().toString(36).substring(2, 10);
+    this.queue = [];
+    this.flushTimer = null;
+    this.flushing = false;
+
+    this.STORAGE = {
+      QUEUE_PREFIX: "ad_events_queue:",
+      SENT: "ad_events_sent",
+    };
+    this.LIMITS = {
+      FLUSH_DELAY: 1000, // milliseconds to collect a batch
+      MAX_BATCH: 20,
+      MAX_ATTEMPTS: 5,
+      RETRY_BASE_DELAY: 2000, // milliseconds, doubled per attempt
+      MAX_AGE: 24 * 60 * 60 * 1000, // undelivered events and dedupe keys expire after a day
+    };
+  }
+
+  // Adopts queues left behind by closed pages and starts listening for unload/online
+  start() {
+    this.adoptStoredQueues();
+
+    window.addEventListener("pagehide", () => this.flushOnExit());
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") this.flushOnExit();
+    });
+    window.addEventListener("online", () => this.flush());
+
+    if (this.queue.length) this.scheduleFlush(0);
+  }
+
+  /**
+   * @param {string} bidId - bid_id reported to update-adjourney
+   * @param {string} event - One of AdSystem#EVENTS
+   * @param {Object} [options] - { urgent }: deliver now, e.g. before navigating away;
+   *   { dedupeId }: the bid the event is about, when bidId is shared by several
+   *   bids (every slot of a batch response reports the response id);
+   *   any other field (ViewabilityMeter metrics as { viewability }, a rejection
+   *   reason) is sent along with the event
+   */
+  trackJourney(bidId, event, options = {}) {
+    const { urgent, dedupeId, ...fields } = options;
+    const key = dedupeId ? `${bidId}:${dedupeId}:${event}` : `${bidId}:${event}`;
+    this.enqueue({ key, type: "journey", bid_id: bidId, event, fields }, { urgent });
+  }
+
+  /**
+   * @param {string} url - Tracker URL, fired with GET
+   * @param {Object} [options] - { urgent }; { dedupeKey }: the pixel fires once
+   *   per key (e.g. per bid and tracker), otherwise every time
+   */
+  trackPixel(url, options = {}) {
+    const { dedupeKey, ...queueOptions } = options;
+    // Without a key the same URL is legitimately fired once per impression
+    const key = dedupeKey
+      ? `pixel:${dedupeKey}`
+      : `${url}#${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`;
+    this.enqueue({ key, type: "pixel", url }, queueOptions);
+  }
+
+  enqueue(entry, { urgent = false } = {}) {
+    if (this.queue.some(queued => queued.key === entry.key) || this.readSent()[entry.key]) {
+      this.onDebug("tracker_duplicate", { key: entry.key });
+      return;
+    }
+
+    this.queue.push({ ...entry, ts: Date.now(), attempts: 0, nextAttempt: 0 });
+    this.save();
+    this.onDebug("tracker_queued", { key: entry.key, type: entry.type, url: entry.url || this.journeyUrl });
+
+    if (urgent) {
+      this.flushOnExit();
+    } else {
+      this.scheduleFlush(this.queue.length >= this.LIMITS.MAX_BATCH ? 0 : this.LIMITS.FLUSH_DELAY);
+    }
+  }
+
+  scheduleFlush(delay) {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, delay);
+  }
+
+  async flush() {
+    if (this.flushing || !navigator.onLine) return;
+    this.flushing = true;
+
+    try {
+      const { journeys, pixels } = this.takeDue();
+
+      for (let start = 0; start < journeys.length; start += this.LIMITS.MAX_BATCH) {
+        const batch = journeys.slice(start, start + this.LIMITS.MAX_BATCH);
+        this.settle(batch, await this.postJourneys(batch));
+      }
+
+      await Promise.all(pixels.map(entry => this.sendPixel(entry.url).then(delivered => this.settle([entry], delivered))));
+    } finally {
+      this.flushing = false;
+    }
+
+    // Anything still waiting for a retry
+    const next = this.queue.reduce((soonest, entry) => Math.min(soonest, entry.nextAttempt), Infinity);
+    if (next !== Infinity) {
+      this.scheduleFlush(Math.max(0, next - Date.now()));
+    }
+  }
+
+  /**
+   * Delivers everything synchronously while the page is going away: journey
+   * events with navigator.sendBeacon where available, everything else with
+   * keepalive fetches
+   */
+  flushOnExit() {
+    if (!navigator.onLine) {
+      this.save({ closed: true });
+      return;
+    }
+
+    const { journeys, pixels } = this.takeDue(true);
+
+    for (let start = 0; start < journeys.length; start += this.LIMITS.MAX_BATCH) {
+      const batch = journeys.slice(start, start + this.LIMITS.MAX_BATCH);
+      if (navigator.sendBeacon) {
+        // text/plain keeps the beacon a simple CORS request
+        const body = new Blob([this.journeyBody(batch)], { type: "text/plain" });
+        this.settle(batch, navigator.sendBeacon(this.journeyUrl, body));
+      } else {
+        this.postJourneys(batch);
+        this.settle(batch, true);
+      }
+    }
+
+    // keepalive requests outlive the page, so they are counted as delivered once handed off
+    pixels.forEach(entry => {
+      this.sendPixel(entry.url);
+      this.settle([entry], true);
+    });
+
+    this.save({ closed: document.visibilityState === "hidden" });
+  }
+
+  // Removes due entries from the queue, skipping any another tab has delivered meanwhile
+  takeDue(ignoreBackoff = false) {
+    const now = Date.now();
+    const sent = this.readSent();
+    const due = [];
+
+    this.queue = this.queue.filter(entry => {
+      if (sent[entry.key]) return false;
+      if (ignoreBackoff || entry.nextAttempt <= now) {
+        due.push(entry);
+        return false;
+      }
+      return true;
+    });
+
+    return {
+      journeys: due.filter(entry => entry.type === "journey"),
+      pixels: due.filter(entry => entry.type === "pixel"),
+    };
+  }
+
+  postJourneys(batch) {
+    return fetch(this.journeyUrl, {
+      method: "POST",
+      mode: "no-cors",
+      credentials: "omit",
+      keepalive: true,
+      headers: { "Content-Type": "text/plain" },
+      body: this.journeyBody(batch),
+    }).then(() => true, () => false);
+  }
+
+  journeyBody(batch) {
+    return JSON.stringify({
+      events: batch.map(({ bid_id, event, ts, fields }) => ({ bid_id, event, ts, ...fields })),
+    });
+  }
+
+  sendPixel(url) {
+    return fetch(url, {
+      method: "GET",
+      mode: "no-cors",
+      credentials: "omit",
+      keepalive: true,
+      cache: "no-store"
+    }).then(() => true, (error) => {
+      console.warn("Impression tracking failed:", error);
+      return false;
+    });
+  }
+
+  settle(entries, delivered) {
+    const now = Date.now();
+
+    if (delivered) {
+      const sent = this.readSent();
+      entries.forEach(entry => {
+        sent[entry.key] = now;
+        this.onDebug("tracker_sent", { key: entry.key, type: entry.type, url: entry.url || this.journeyUrl });
+      });
+      this.writeSent(sent);
+    } else {
+      entries.forEach(entry => {
+        entry.attempts++;
+        if (entry.attempts >= this.LIMITS.MAX_ATTEMPTS || now - entry.ts > this.LIMITS.MAX_AGE) {
+          this.onDebug("tracker_dropped", { key: entry.key, attempts: entry.attempts });
+          return;
+        }
+        entry.nextAttempt = now + this.LIMITS.RETRY_BASE_DELAY * Math.pow(2, entry.attempts - 1);
+        this.queue.push(entry);
+        this.onDebug("tracker_failed", { key: entry.key, attempts: entry.attempts });
+      });
+    }
+
+    this.save();
+  }
+
+  adoptStoredQueues() {
+    const now = Date.now();
+
+    try {
+      for (let index = localStorage.length - 1; index >= 0; index--) {
+        const storageKey = localStorage.key(index);
+        if (!storageKey?.startsWith(this.STORAGE.QUEUE_PREFIX)) continue;
+
+        const stored = JSON.parse(localStorage.getItem(storageKey) || "{}");
+        // Open queues belong to pages that may still be running; leave them unless abandoned
+        if (!stored.closed && now - (stored.updatedAt || 0) < this.LIMITS.MAX_AGE) continue;
+
+        localStorage.removeItem(storageKey);
+        (stored.events || [])
+          .filter(entry => now - entry.ts <= this.LIMITS.MAX_AGE)
+          .forEach(entry => {
+            if (!this.queue.some(queued => queued.key === entry.key)) {
+              this.queue.push({ ...entry, nextAttempt: 0 });
+            }
+          });
+      }
+    } catch (error) {
+      console.warn("Could not restore queued ad events:", error);
+    }
+
+    this.save();
+  }
+
+  save({ closed = false } = {}) {
+    try {
+      const storageKey = this.STORAGE.QUEUE_PREFIX + this.pageId;
+      if (this.queue.length) {
+        localStorage.setItem(storageKey, JSON.stringify({ events: this.queue, closed, updatedAt: Date.now() }));
+      } else {
+        localStorage.removeItem(storageKey);
+      }
+    } catch (error) {
+      // Storage full or unavailable: events stay in memory for this page only
+    }
+  }
+
+  readSent() {
+    try {
+      return JSON.parse(localStorage.getItem(this.STORAGE.SENT) || "{}");
+    } catch (error) {
+      return {};
+    }
+  }
+
+  writeSent(sent) {
+    const cutoff = Date.now() - this.LIMITS.MAX_AGE;
+    Object.keys(sent).forEach(key => {
+      if (sent[key] < cutoff) delete sent[key];
+    });
+
+    try {
+      localStorage.setItem(this.STORAGE.SENT, JSON.stringify(sent));
+    } catch (error) {
+      // Dedupe falls back to this page's in-memory queue
+    }
+  }
+}
+
+/**
+ * MRC viewability measurement for one rendered creative. An ad is "in view"
+ * while at least THRESHOLD of it is on screen, the page is visible and the
+ * window has focus (and, for video, while it is playing); it becomes viewable
+ * after DURATION of continuous in-view time. Measurement continues after that
+ * so the final metrics carry total time-in-view and the max visible ratio.
+ */
+class ViewabilityMeter {
+  /**
+   * @param {HTMLElement} element - Creative element (img, video, iframe or native container)
+   * @param {Object} criteria - { THRESHOLD, DURATION, LARGE_AD: { AREA, THRESHOLD } }
+   * @param {Object} callbacks - { onViewable(metrics), onEnd(metrics, unloading) }
+   */
+  constructor(element, criteria, callbacks = {}) {
+    this.element = element;
+    this.criteria = criteria;
+    this.callbacks = callbacks;
+    this.isVideo = element instanceof HTMLVideoElement;
+    this.threshold = criteria.THRESHOLD;
+    this.largeAd = false;
+    this.measurable = false;
+    this.viewable = false;
+    this.ratio = 0;
+    this.maxRatio = 0;
+    this.timeInView = 0;
+    this.inViewSince = null;
+    this.timer = null;
+    this.observer = null;
+    this.stopped = false;
+
+    this.update = this.update.bind(this);
+    this.handleBlur = () => setTimeout(this.update, 0); // focus may just have moved into an ad iframe
+    this.handlePageHide = () => this.stop(true);
+  }
+
+  start() {
+    // Without IntersectionObserver the impression is counted as non-measurable
+    if (typeof IntersectionObserver === "undefined") return;
+
+    // Every 10% step, so the max visible ratio is known with that precision
+    const thresholds = Array.from({ length: 11 }, (_, step) => step / 10);
+    if (!thresholds.includes(this.threshold)) thresholds.push(this.threshold);
+    if (this.criteria.LARGE_AD && !thresholds.includes(this.criteria.LARGE_AD.THRESHOLD)) {
+      thresholds.push(this.criteria.LARGE_AD.THRESHOLD);
+    }
+
+    this.observer = new IntersectionObserver(entries => {
+      this.handleIntersection(entries[entries.length - 1]);
+    }, { threshold: thresholds.sort((a, b) => a - b) });
+    this.observer.observe(this.element);
+
+    document.addEventListener("visibilitychange", this.update);
+    window.addEventListener("focus", this.update);
+    window.addEventListener("blur", this.handleBlur);
+    window.addEventListener("pagehide", this.handlePageHide);
+    if (this.isVideo) {
+      ["play", "playing", "pause", "ended"].forEach(type => this.element.addEventListener(type, this.update));
+    }
+  }
+
+  handleIntersection(entry) {
+    const { width, height } = entry.boundingClientRect;
+
+    // The first observation of a laid-out element makes the impression measurable
+    // and decides whether the large-ad rule applies
+    if (!this.measurable && width * height > 0) {
+      this.measurable = true;
+      const largeAd = this.criteria.LARGE_AD;
+      if (largeAd && !this.isVideo && width * height > largeAd.AREA) {
+        this.largeAd = true;
+        this.threshold = largeAd.THRESHOLD;
+      }
+    }
+
+    this.ratio = entry.isIntersecting ? entry.intersectionRatio : 0;
+    this.update();
+  }
+
+  pageInView() {
+    return document.visibilityState === "visible" && document.hasFocus();
+  }
+
+  isInView() {
+    if (!this.measurable || !this.pageInView()) return false;
+    if (this.isVideo && (this.element.paused || this.element.ended)) return false;
+    return this.ratio >= this.threshold;
+  }
+
+  update() {
+    if (this.stopped) return;
+
+    if (this.measurable && this.pageInView()) {
+      this.maxRatio = Math.max(this.maxRatio, this.ratio);
+    }
+
+    const now = performance.now();
+    const inView = this.isInView();
+
+    if (inView && this.inViewSince === null) {
+      this.inViewSince = now;
+      if (!this.viewable) {
+        this.timer = setTimeout(() => this.markViewable(), this.criteria.DURATION);
+      }
+    } else if (!inView && this.inViewSince !== null) {
+      // A dip below the threshold breaks continuity: the DURATION clock restarts
+      this.timeInView += now - this.inViewSince;
+      this.inViewSince = null;
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  markViewable() {
+    this.timer = null;
+    if (this.viewable || this.stopped) return;
+    this.viewable = true;
+    this.callbacks.onViewable?.(this.getMetrics());
+  }
+
+  /**
+   * @returns {Object} { measurable, viewable, time_in_view (ms), max_ratio,
+   *   threshold, duration (ms), large_ad, video }
+   */
+  getMetrics() {
+    const current = this.inViewSince !== null ? performance.now() - this.inViewSince : 0;
+    return {
+      measurable: this.measurable,
+      viewable: this.viewable,
+      time_in_view: Math.round(this.timeInView + current),
+      max_ratio: Math.round(this.maxRatio * 100) / 100,
+      threshold: this.threshold,
+      duration: this.criteria.DURATION,
+      large_ad: this.largeAd,
+      video: this.isVideo,
+    };
+  }
+
+  /**
+   * Ends measurement and hands the final metrics to onEnd
+   * @param {boolean} [unloading] - The page is going away
+   */
+  stop(unloading = false) {
+    if (this.stopped) return;
+
+    if (this.inViewSince !== null) {
+      this.timeInView += performance.now() - this.inViewSince;
+      this.inViewSince = null;
+    }
+    this.stopped = true;
+    clearTimeout(this.timer);
+    this.observer?.disconnect();
+
+    document.removeEventListener("visibilitychange", this.update);
+    window.removeEventListener("focus", this.update);
+    window.removeEventListener("blur", this.handleBlur);
+    window.removeEventListener("pagehide", this.handlePageHide);
+    if (this.isVideo) {
+      ["play", "playing", "pause", "ended"].forEach(type => this.element.removeEventListener(type, this.update));
+    }
+
+    this.callbacks.onEnd?.(this.getMetrics(), unloading);
+  }
+}
+
+// Local keyword table for IAB Content Taxonomy 1.0 categories (cattax 1).
+// Keywords are matched against single lowercase words from the page.
+const IAB_KEYWORD_CATEGORIES = {
+  "IAB1": ["entertainment", "celebrity", "bollywood", "television", "series"],
+  "IAB1-5": ["film", "films", "movie", "movies", "actor", "actress", "cinema", "trailer"],
+  "IAB1-6": ["music", "singer", "album", "concert", "song"],
+  "IAB2": ["car", "cars", "automobile", "vehicle", "vehicles", "motors", "electric"],
+  "IAB3": ["business", "economy", "company", "companies", "startup", "industry", "trade", "gdp", "exports", "corporate"],
+  "IAB5": ["education", "school", "schools", "university", "exam", "exams", "students", "cbse", "neet", "jee"],
+  "IAB7": ["health", "hospital", "covid", "vaccine", "disease", "doctor", "doctors", "medical", "fitness"],
+  "IAB11-4": ["election", "elections", "minister", "parliament", "government", "bjp", "congress", "politics", "vote", "opposition", "sabha"],
+  "IAB12-1": ["world", "international", "global", "china", "pakistan", "ukraine", "russia", "america"],
+  "IAB12-2": ["india", "national", "nationwide", "centre", "union"],
+  "IAB12-3": ["city", "district", "municipal", "local", "police", "village"],
+  "IAB13": ["finance", "tax", "loan", "loans", "bank", "banks", "sensex", "nifty", "stocks", "shares", "investment", "budget", "rupee", "inflation", "rbi"],
+  "IAB15": ["science", "space", "isro", "research", "scientists", "climate"],
+  "IAB15-10": ["weather", "rain", "rainfall", "monsoon", "cyclone", "heatwave", "imd", "flood", "floods"],
+  "IAB17": ["sports", "cricket", "football", "match", "ipl", "tournament", "olympics", "hockey", "tennis", "wicket", "medal"],
+  "IAB19": ["technology", "tech", "smartphone", "software", "internet", "digital", "cyber", "google", "apple", "gadget"],
+  "IAB20": ["travel", "tourism", "tourist", "airline", "airlines", "flight", "flights", "airport", "railway", "train"],
+};
+
+/**
+ * Contextual signals for bid requests: keywords from the page's meta tags and
+ * from the articles script.js renders (reported through
+ * adq.setPageContent), mapped to IAB categories with IAB_KEYWORD_CATEGORIES,
+ * and the site section the page belongs to (adq.setPageSection).
+ * Builds the OpenRTB site object; nothing here is user data.
+ */
+class ContextualSignals {
+  constructor(taxonomy = IAB_KEYWORD_CATEGORIES) {
+    this.articlesBySource = new Map();
+    this.section = null;
+    this.categoryByKeyword = new Map();
+    Object.entries(taxonomy).forEach(([category, keywords]) => {
+      keywords.forEach(keyword => this.categoryByKeyword.set(keyword, category));
+    });
+
+    this.MAX_KEYWORDS = 20;
+    this.MAX_CATEGORIES = 5;
+    this.STOPWORDS = new Set([
+      "the", "and", "for", "with", "from", "that", "this", "are", "was", "were", "has", "have", "had",
+      "will", "into", "over", "after", "before", "about", "amid", "its", "his", "her", "their", "they",
+      "you", "your", "our", "not", "but", "all", "new", "more", "says", "said", "what", "who", "how",
+      "why", "when", "where", "which", "than", "out", "two", "one", "may", "can", "also", "news",
+      "latest", "updates", "today", "read", "know",
+    ]);
+  }
+
+  /**
+   * Replaces the articles one part of the page shows
+   * @param {string} source - e.g. "news" (displayNews) or "trending" (displayTrendingTopics)
+   * @param {Array<Object>} articles - [{ title, description, url, source }]
+   */
+  setContent(source, articles) {
+    this.articlesBySource.set(source, Array.isArray(articles) ? articles : []);
+  }
+
+  /**
+   * @param {string|null} section - e.g. "home", "trending" or "local"
+   */
+  setSection(section) {
+    this.section = section ? String(section).toLowerCase() : null;
+  }
+
+  articles() {
+    return Array.from(this.articlesBySource.values()).flat();
+  }
+
+  metaContent(selector) {
+    return document.querySelector(selector)?.getAttribute("content") || "";
+  }
+
+  tokenize(text) {
+    return String(text || "")
+      .toLowerCase()
+      .split(/[^\p{L}\p{N}]+/u)
+      .filter(word => word.length > 2 && !this.STOPWORDS.has(word) && !/^\d+$/.test(word));
+  }
+
+  // Word -> weight: explicit meta keywords count most, then titles, then descriptions
+  weightedTerms() {
+    const weights = new Map();
+    const add = (words, weight) => words.forEach(word => weights.set(word, (weights.get(word) || 0) + weight));
+
+    this.metaContent('meta[name="keywords"]').split(",").forEach(phrase => add(this.tokenize(phrase), 5));
+    add(this.tokenize(this.metaContent('meta[property="article:section"]')), 5);
+    document.querySelectorAll('meta[property="article:tag"]').forEach(tag => add(this.tokenize(tag.getAttribute("content")), 4));
+    add(this.tokenize(this.metaContent('meta[name="description"]')), 2);
+    add(this.tokenize(document.title), 2);
+
+    this.articles().forEach(article => {
+      add(this.tokenize(article.title), 2);
+      add(this.tokenize(article.description), 1);
+    });
+
+    return weights;
+  }
+
+  keywords() {
+    return Array.from(this.weightedTerms())
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, this.MAX_KEYWORDS)
+      .map(([word]) => word);
+  }
+
+  categories() {
+    const scores = new Map();
+    this.weightedTerms().forEach((weight, word) => {
+      const category = this.categoryByKeyword.get(word);
+      if (category) scores.set(category, (scores.get(category) || 0) + weight);
+    });
+
+    return Array.from(scores)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, this.MAX_CATEGORIES)
+      .map(([category]) => category);
+  }
+
+  /**
+   * @returns {Object} OpenRTB 2.6 site object
+   */
+  site() {
+    const keywords = this.keywords();
+    const cat = this.categories();
+    const lead = this.articles()[0];
+
+    const site = {
+      page: window.location.href,
+      domain: window.location.hostname,
+      cattax: 1, // IAB Content Category Taxonomy 1.0
+      content: {
+        title: lead?.title || document.title,
+        context: 5, // Text
+        language: (document.documentElement.lang || "").split("-")[0] || undefined,
+      },
+    };
+    if (document.referrer) site.ref = document.referrer;
+    if (cat.length) {
+      site.cat = cat;
+      site.content.cat = cat;
+      site.content.cattax = 1;
+    }
+    if (keywords.length) {
+      site.keywords = keywords.join(",");
+      site.content.keywords = site.keywords;
+    }
+    if (this.section) {
+      site.ext = { section: this.section };
+    }
+    return site;
+  }
+
+  // Changes whenever what the page is about changes
+  fingerprint() {
+    return `${this.section || ""}|${this.categories().join(",")}|${this.keywords().join(",")}`;
+  }
+}
+
+/**
+ * Client-side frequency caps for creatives and advertisers, persisted in
+ * localStorage so they hold across page views and sessions. Impressions are
+ * recorded per key ("adid:<id>", "adomain:<domain>", "brand:<name>") and a
+ * key is capped once it reaches its rule's LIMIT within WINDOW.
+ */
+class FrequencyCap {
+  /**
+   * @param {Object} rules - { adid, adomain, brand }: { LIMIT, WINDOW (ms) } per key type
+   * @param {string} [storageKey]
+   */
+  constructor(rules, storageKey = "ad_frequency") {
+    this.rules = rules;
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * @param {Object} identity - { adid, adomain: [], brand }, an Ad#advertiser (see AdNormalizer)
+   * @returns {Array<Object>} [{ type, key }] for every known id
+   */
+  keys(identity) {
+    const keys = [];
+    if (identity.adid) keys.push({ type: "adid", key: `adid:${identity.adid}` });
+    identity.adomain.forEach(domain => keys.push({ type: "adomain", key: `adomain:${domain}` }));
+    if (identity.brand) keys.push({ type: "brand", key: `brand:${identity.brand.toLowerCase()}` });
+    return keys;
+  }
+
+  record(identity) {
+    const now = Date.now();
+    const history = this.read();
+    this.keys(identity).forEach(({ key }) => {
+      history[key] = (history[key] || []).concat(now);
+    });
+    this.write(history);
+  }
+
+  /**
+   * @param {Object} identity
+   * @returns {string|null} The first capped key, or null when the creative may show
+   */
+  cappedKey(identity) {
+    const history = this.read();
+    const capped = this.keys(identity).find(({ type, key }) => this.isCapped(history, type, key));
+    return capped ? capped.key : null;
+  }
+
+  // Advertiser domains at their cap, sent to bidders as badv
+  cappedDomains() {
+    const history = this.read();
+    return Object.keys(history)
+      .filter(key => key.startsWith("adomain:") && this.isCapped(history, "adomain", key))
+      .map(key => key.substring("adomain:".length));
+  }
+
+  isCapped(history, type, key) {
+    const rule = this.rules[type];
+    if (!rule) return false;
+    const since = Date.now() - rule.WINDOW;
+    return (history[key] || []).filter(time => time > since).length >= rule.LIMIT;
+  }
+
+  read() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey) || "{}");
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // Drops impressions older than the longest window before saving
+  write(history) {
+    const since = Date.now() - Math.max(...Object.values(this.rules).map(rule => rule.WINDOW));
+    Object.keys(history).forEach(key => {
+      history[key] = history[key].filter(time => time > since);
+      if (!history[key].length) delete history[key];
+    });
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(history));
+    } catch (error) {
+      // Storage unavailable: caps only apply within this page
+    }
+  }
+}
+
+/**
+ * Validates brand and OpenRTB bid responses and converts both into the one
+ * Ad model the renderers work from:
+ *
+ *   {
+ *     type: "brand" | "ortb",
+ *     journeyId,    // id update-adjourney events are reported against (ORTB only)
+ *     creative: {
+ *       kind: "image" | "video" | "native" | "markup",
+ *       url,        // image or video file
+ *       vast,       // { xml, url } for VAST video
+ *       markup,     // HTML for the sandboxed iframe
+ *       native,     // { title, image, sponsoredBy, cta }
+ *       alt,
+ *     },
+ *     destination,  // click-through URL
+ *     trackers: { impression: [], billable: [], click: [], win, billing, loss },
+ *     pricing: { price, currency, priority },
+ *     dimensions: { width, height } | null,
+ *     advertiser: { adid, adomain: [], brand, cat: [] },
+ *     ids: { auction, bid, imp, seat, ad },  // values for the OpenRTB auction macros
+ *   }
+ *
+ * Malformed responses are reported as field-level errors, { field, message },
+ * with the field as a path into the response (e.g. "seatbid[0].bid[0].price").
+ */
+class AdNormalizer {
+  /**
+   * @param {Object} options - { currency }: used when a response has no cur;
+   *   { nativeAssets }: asset ids of the native request (AdSystem#NATIVE.ASSETS)
+   */
+  constructor(options = {}) {
+    this.currency = options.currency || "USD";
+    this.nativeAssets = options.nativeAssets;
+  }
+
+  /**
+   * @param {Object} bidResponse - A brand response, or an ORTB response holding one seat and bid
+   * @param {Object} slot - Slot the ad would render in
+   * @returns {Object} { ad, errors }. The ad is built as far as the response
+   *   allows, so a loss notice can still be sent for an invalid bid; it is
+   *   null only when the response has no bid at all.
+   */
+  normalize(bidResponse, slot) {
+    const errors = [];
+    if (!this.isObject(bidResponse)) {
+      errors.push({ field: "", message: `must be an object, got ${this.typeOf(bidResponse)}` });
+      return { ad: null, errors };
+    }
+
+    const ad = bidResponse.ad_type === "brand"
+      ? this.normalizeBrand(bidResponse, errors)
+      : this.normalizeOrtb(bidResponse, slot, errors);
+    return { ad, errors };
+  }
+
+  normalizeBrand(response, errors) {
+    const read = this.reader(response, "", errors);
+    const tracking = this.reader(read.object("tracking"), "tracking", errors);
+
+    const creativeType = read.string("creative_type") || "image";
+    if (creativeType !== "image" && creativeType !== "video") {
+      errors.push({ field: "creative_type", message: `must be "image" or "video", got ${JSON.stringify(creativeType)}` });
+    }
+    const isVideo = creativeType === "video";
+
+    const file = read.string("full_file_path");
+    const vastXml = read.string("vast_xml");
+    const vastUrl = read.string("vast_url");
+    if (!file && !(isVideo && (vastXml || vastUrl))) {
+      errors.push({ field: "full_file_path", message: isVideo ? "is required without vast_xml or vast_url" : "is required" });
+    }
+
+    const price = read.number("price") ?? read.number("cpm");
+    const brand = read.string("brand_name");
+    const adid = read.id("adid") || file;
+    const destinations = [tracking.string("destination_url"), read.string("landing_page_url"), read.string("click_url")];
+
+    return {
+      type: "brand",
+      journeyId: null,
+      creative: {
+        kind: isVideo ? "video" : "image",
+        url: file,
+        vast: isVideo && (vastXml || vastUrl) ? { xml: vastXml, url: vastUrl } : null,
+        markup: null,
+        native: null,
+        alt: brand || "Advertisement",
+      },
+      destination: destinations.find(Boolean) || null,
+      trackers: {
+        impression: [tracking.string("impression_url")].filter(Boolean),
+        billable: [tracking.string("billable_impression_url")].filter(Boolean),
+        click: [tracking.string("click_url")].filter(Boolean),
+        win: null,
+        billing: null,
+        loss: null,
+      },
+      pricing: {
+        price: price || 0,
+        currency: read.string("cur") || this.currency,
+        // Unpriced brand campaigns are direct-sold and take precedence over the auction
+        priority: !price,
+      },
+      dimensions: null,
+      advertiser: {
+        adid,
+        adomain: (typeof response.adomain === "string" ? [response.adomain] : read.strings("adomain"))
+          .map(domain => domain.toLowerCase()),
+        brand,
+        cat: [],
+      },
+      ids: { auction: null, bid: null, imp: null, seat: null, ad: adid },
+    };
+  }
+
+  normalizeOrtb(response, slot, errors) {
+    const read = this.reader(response, "", errors);
+    if (!Array.isArray(response.seatbid)) {
+      errors.push({ field: "seatbid", message: `must be an array, got ${this.typeOf(response.seatbid)}` });
+      return null;
+    }
+
+    const seatbid = response.seatbid[0];
+    if (!this.isObject(seatbid) || !Array.isArray(seatbid.bid) || !this.isObject(seatbid.bid[0])) {
+      errors.push({ field: "seatbid[0].bid[0]", message: "is required" });
+      return null;
+    }
+
+    const path = "seatbid[0].bid[0]";
+    const bid = this.reader(seatbid.bid[0], path, errors);
+    const ids = {
+      auction: read.id("id") || read.id("bidid"),
+      bid: bid.id("id"),
+      imp: bid.id("impid"),
+      seat: this.reader(seatbid, "seatbid[0]", errors).string("seat"),
+      ad: bid.id("adid"),
+    };
+    const price = bid.number("price", { required: true });
+
+    const mtype = bid.number("mtype");
+    if (mtype !== null && ![1, 2, 3, 4].includes(mtype)) {
+      errors.push({ field: `${path}.mtype`, message: `must be 1, 2, 3 or 4, got ${JSON.stringify(seatbid.bid[0].mtype)}` });
+    }
+
+    const width = bid.number("w");
+    const height = bid.number("h");
+
+    const ad = {
+      type: "ortb",
+      journeyId: ids.auction,
+      creative: { kind: "markup", url: null, vast: null, markup: null, native: null, alt: "Advertisement" },
+      destination: null,
+      trackers: {
+        impression: [],
+        billable: [],
+        click: [],
+        win: bid.string("nurl"),
+        billing: bid.string("burl"),
+        loss: bid.string("lurl"),
+      },
+      pricing: { price: price ?? 0, currency: read.string("cur") || this.currency, priority: false },
+      dimensions: width && height ? { width, height } : null,
+      advertiser: {
+        adid: ids.ad || bid.id("crid"),
+        adomain: bid.strings("adomain").map(domain => domain.toLowerCase()),
+        brand: null,
+        cat: bid.strings("cat"),
+      },
+      ids,
+    };
+
+    // mtype 4 is native; native slots only ever receive native markup
+    if (slot.format === "native" || mtype === 4) {
+      const native = this.parseNative(seatbid.bid[0].adm, `${path}.adm`, errors);
+      if (native) {
+        ad.creative.kind = "native";
+        ad.creative.native = native.assets;
+        ad.destination = native.link;
+        ad.trackers.impression = native.impressionTrackers;
+        ad.trackers.billable = native.viewableTrackers;
+        ad.trackers.click = native.clickTrackers;
+      }
+      return ad;
+    }
+
+    const adm = bid.string("adm", { required: true });
+    if (!adm) return ad;
+
+    // mtype 2 is video; VAST markup is also recognised without it
+    if (mtype === 2 || /^\s*(<\?xml[^>]*>\s*)?<VAST[\s>]/i.test(adm)) {
+      ad.creative.kind = "video";
+      ad.creative.vast = { xml: adm, url: null };
+      return ad;
+    }
+
+    // A single linked image is rendered inline. Anything else (HTML5,
+    // scripts, multi-element markup) goes into a sandboxed iframe.
+    const markup = this.readMarkup(adm);
+    if (markup.isSimple && markup.imageUrl) {
+      ad.creative.kind = "image";
+      ad.creative.url = markup.imageUrl;
+      ad.destination = markup.clickUrl;
+      if (markup.impressionUrl) ad.trackers.impression.push(markup.impressionUrl);
+    } else {
+      ad.creative.markup = adm;
+    }
+    return ad;
+  }
+
+  /**
+   * Parses a Native 1.2 response (adm)
+   * @param {string|Object} adm - Native response JSON, optionally wrapped in { native }
+   * @param {string} path - Field path of adm, for errors
+   * @param {Array<Object>} errors - Field errors are added here
+   * @returns {Object|null} { assets, link, impressionTrackers, viewableTrackers, clickTrackers }
+   */
+  parseNative(adm, path, errors) {
+    let response;
+    try {
+      response = typeof adm === "string" ? JSON.parse(adm) : adm;
+    } catch (error) {
+      errors.push({ field: path, message: `is not valid JSON (${error.message})` });
+      return null;
+    }
+
+    const native = response?.native || response;
+    if (!this.isObject(native)) {
+      errors.push({ field: path, message: "is not a native response" });
+      return null;
+    }
+    const nativePath = response?.native ? `${path}.native` : path;
+    if (!Array.isArray(native.assets)) {
+      errors.push({ field: `${nativePath}.assets`, message: `must be an array, got ${this.typeOf(native.assets)}` });
+      return null;
+    }
+    const link = this.reader(this.isObject(native.link) ? native.link : {}, `${nativePath}.link`, errors);
+    const linkUrl = link.string("url", { required: true });
+
+    const { TITLE, IMAGE, SPONSORED_BY, CTA } = this.nativeAssets;
+    const assetById = new Map(native.assets.filter(this.isObject).map(asset => [asset.id, asset]));
+    const title = assetById.get(TITLE)?.title?.text;
+    if (typeof title !== "string" || !title) {
+      errors.push({ field: `${nativePath}.assets`, message: `title asset (id ${TITLE}) is required` });
+    }
+    if (!linkUrl || !title) return null;
+
+    const eventtrackers = Array.isArray(native.eventtrackers) ? native.eventtrackers : [];
+    const imageTrackers = (event) => eventtrackers
+      .filter(tracker => tracker?.event === event && tracker.method === 1 && typeof tracker.url === "string")
+      .map(tracker => tracker.url);
+
+    const image = assetById.get(IMAGE)?.img;
+    const text = (value) => (typeof value === "string" ? value : "");
+
+    return {
+      assets: {
+        title,
+        image: typeof image?.url === "string" ? { url: image.url, width: image.w || 0, height: image.h || 0 } : null,
+        sponsoredBy: text(assetById.get(SPONSORED_BY)?.data?.value),
+        cta: text(assetById.get(CTA)?.data?.value),
+      },
+      link: linkUrl,
+      clickTrackers: link.strings("clicktrackers"),
+      // imptrackers is deprecated in 1.2 but still sent by many DSPs
+      impressionTrackers: [...imageTrackers(1), ...this.reader(native, nativePath, errors).strings("imptrackers")],
+      viewableTrackers: imageTrackers(2),
+    };
+  }
+
+  // Click-through, image and impression pixel of banner markup, and whether
+  // it is a lone (optionally linked) image that can skip the iframe
+  readMarkup(adm) {
+    try {
+      const parser = new DOMParser();
+      const doc = parser.parseFromString(adm, "text/html");
+
+      const anchor = doc.querySelector("a");
+      const img = doc.querySelector("img");
+
+      const isSimple = doc.querySelectorAll("img").length === 1 &&
+        doc.querySelectorAll("a").length <= 1 &&
+        !doc.querySelector("script, iframe, video, object, embed, svg, canvas, form");
+
+      // Extract image load tracking URL from onload attribute if exists
+      let impressionUrl = null;
+      const onloadAttr = img?.getAttribute("onload");
+      if (onloadAttr) {
+        const match = onloadAttr.match(/sendUrl\('([^']+)'\)/);
+        impressionUrl = match?.[1] || null;
+      }
+
+      return {
+        clickUrl: anchor?.href || null,
+        imageUrl: img?.src || null,
+        impressionUrl,
+        isSimple,
+      };
+    } catch (error) {
+      console.error("Error extracting URLs from ad markup:", error);
+      return { clickUrl: null, imageUrl: null, impressionUrl: null, isSimple: false };
+    }
+  }
+
+  /**
+   * Typed access to the fields of one object in the response. A field of the
+   * wrong type is recorded in errors under its path and reads as missing.
+   * @param {Object} object - Part of the response
+   * @param {string} path - Its path from the response root ("" for the root)
+   * @param {Array<Object>} errors - Field errors are added here
+   */
+  reader(object, path, errors) {
+    const source = this.isObject(object) ? object : {};
+    const field = (key) => (path ? `${path}.${key}` : key);
+    const missing = (value) => value === undefined || value === null || value === "";
+    const fail = (key, message) => {
+      errors.push({ field: field(key), message });
+      return null;
+    };
+
+    return {
+      string: (key, { required = false } = {}) => {
+        const value = source[key];
+        if (missing(value)) return required ? fail(key, "is required") : null;
+        return typeof value === "string" ? value : fail(key, `must be a string, got ${this.typeOf(value)}`);
+      },
+      // Ids are strings in OpenRTB but often arrive as numbers
+      id: (key, { required = false } = {}) => {
+        const value = source[key];
+        if (missing(value)) return required ? fail(key, "is required") : null;
+        return typeof value === "string" || Number.isFinite(value)
+          ? String(value)
+          : fail(key, `must be a string, got ${this.typeOf(value)}`);
+      },
+      number: (key, { required = false } = {}) => {
+        const value = source[key];
+        if (missing(value)) return required ? fail(key, "is required") : null;
+        const number = typeof value === "string" && value.trim() ? Number(value) : value;
+        return Number.isFinite(number) && number >= 0
+          ? number
+          : fail(key, `must be a non-negative number, got ${JSON.stringify(value)}`);
+      },
+      strings: (key) => {
+        const value = source[key];
+        if (missing(value)) return [];
+        if (!Array.isArray(value)) {
+          fail(key, `must be an array of strings, got ${this.typeOf(value)}`);
+          return [];
+        }
+        value.forEach((item, index) => {
+          if (typeof item !== "string") fail(`${key}[${index}]`, `must be a string, got ${this.typeOf(item)}`);
+        });
+        return value.filter(item => typeof item === "string");
+      },
+      object: (key) => {
+        const value = source[key];
+        if (missing(value)) return {};
+        if (this.isObject(value)) return value;
+        fail(key, `must be an object, got ${this.typeOf(value)}`);
+        return {};
+      },
+    };
+  }
+
+  isObject(value) {
+    return typeof value === "object" && value !== null && !Array.isArray(value);
+  }
+
+  typeOf(value) {
+    if (value === null) return "null";
+    return Array.isArray(value) ? "array" : typeof value;
+  }
+}
+
+/**
+ * Safety checks for a creative before anything from it reaches the DOM:
+ * scheme allowlists and optional domain allow/block lists for click-through
+ * and media URLs, blocked advertiser domains and the creative size. A failed
+ * check carries the OpenRTB loss reason code that is reported to the SSP.
+ * Tracker URLs are checked one by one as they fire (see
+ * AdSystem#sendImpression), so an insecure tracker is dropped on its own
+ * instead of costing the whole creative.
+ */
+class CreativeValidator {
+  /**
+   * @param {Object} policy - AdSystem#CREATIVE_POLICY
+   */
+  constructor(policy) {
+    this.policy = policy;
+
+    // OpenRTB 2.6 loss reason codes
+    this.LOSS = {
+      SIZE_NOT_ALLOWED: 203,
+      ADVERTISER_EXCLUSIONS: 205,
+      NOT_SECURE: 207,
+    };
+  }
+
+  matchesDomain(hostname, domains) {
+    const host = hostname.toLowerCase();
+    return domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+  }
+
+  /**
+   * @param {string} url - Absolute or page-relative URL
+   * @param {string} kind - "click", "media" or "tracker"
+   * @returns {Object|null} { reason, code, url } when the URL is not allowed
+   */
+  checkUrl(url, kind) {
+    let parsed;
+    try {
+      parsed = new URL(url, window.location.href);
+    } catch (error) {
+      return { reason: `invalid_${kind}_url`, code: this.LOSS.NOT_SECURE, url };
+    }
+
+    const schemes = {
+      click: this.policy.CLICK_SCHEMES,
+      media: this.policy.MEDIA_SCHEMES,
+      tracker: this.policy.TRACKER_SCHEMES,
+    }[kind];
+    if (!schemes.includes(parsed.protocol)) {
+      return { reason: `${kind}_scheme_not_allowed`, code: this.LOSS.NOT_SECURE, url };
+    }
+
+    const domains = kind === "click" ? this.policy.CLICK_DOMAINS : kind === "media" ? this.policy.MEDIA_DOMAINS : null;
+    if (domains && parsed.hostname) {
+      if (this.matchesDomain(parsed.hostname, domains.BLOCK)) {
+        return { reason: `${kind}_domain_blocked`, code: this.LOSS.ADVERTISER_EXCLUSIONS, url };
+      }
+      if (domains.ALLOW.length && !this.matchesDomain(parsed.hostname, domains.ALLOW)) {
+        return { reason: `${kind}_domain_not_allowed`, code: this.LOSS.ADVERTISER_EXCLUSIONS, url };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @param {Object} creative - { adomain, size: { w, h } | null, clickUrls, mediaUrls }
+   * @param {Object} slot - Slot the creative would render in
+   * @returns {Object|null} The first failed check ({ reason, code, url? }), or null
+   */
+  validate(creative, slot) {
+    const blockedAdvertiser = (creative.adomain || []).find(domain =>
+      this.matchesDomain(String(domain), this.policy.BLOCKED_ADOMAINS)
+    );
+    if (blockedAdvertiser) {
+      return { reason: "adomain_blocked", code: this.LOSS.ADVERTISER_EXCLUSIONS, url: blockedAdvertiser };
+    }
+
+    const size = creative.size;
+    if (size && slot.format === "banner" && !slot.sizes.some(([w, h]) => w === size.w && h === size.h)) {
+      return { reason: "size_not_allowed", code: this.LOSS.SIZE_NOT_ALLOWED, url: `${size.w}x${size.h}` };
+    }
+
+    const checks = [
+      ...(creative.clickUrls || []).map(url => [url, "click"]),
+      ...(creative.mediaUrls || []).map(url => [url, "media"]),
+    ];
+    for (const [url, kind] of checks) {
+      if (!url) continue;
+      const problem = this.checkUrl(url, kind);
+      if (problem) return problem;
+    }
+
+    return null;
+  }
+}
+
+/**
+ * Debug mode (?addebug=1 or adSystemOptions.debug): outlines every
+ * .ad-placeholder with a label (slot_id, size, ad type, price, latency,
+ * viewability), shows a timeline of AdSystem debug events (bid requests and
+ * responses, rendering, tracking pixels) and exposes the same data to
+ * scripts as window.adSystemDebug.
+ */
+class AdDebugger {
+  constructor(adSystem) {
+    this.adSystem = adSystem;
+    this.startedAt = Date.now();
+    this.timeline = [];
+    this.slotStates = new Map(); // slot key -> state shown in its label
+    this.config = null;
+    this.overlayVisible = true;
+    this.layer = null;
+    this.panel = null;
+    this.list = null;
+    this.renderQueued = false;
+
+    this.MAX_EVENTS = 500;
+  }
+
+  start() {
+    this.adSystem.addDebugListener(event => this.record(event));
+
+    document.addEventListener("adsystem:configready", (event) => {
+      this.config = event.detail;
+      console.log("Ad System Config:", event.detail);
+    });
+
+    this.createPanel();
+    window.addEventListener("scroll", () => this.scheduleRender(), { passive: true });
+    window.addEventListener("resize", () => this.scheduleRender());
+
+    const debug = this;
+    window.adSystemDebug = {
+      get config() { return debug.config; },
+      get timeline() { return debug.timeline.slice(); },
+      events: (type) => debug.timeline.filter(event => !type || event.type === type),
+      slots: () => debug.adSystem.getSlots().map(slot => debug.summarizeSlot(slot)),
+      showOverlay: (visible = true) => debug.setOverlayVisible(visible),
+      clear: () => debug.clear(),
+    };
+  }
+
+  record(event) {
+    this.timeline.push(event);
+    if (this.timeline.length > this.MAX_EVENTS) this.timeline.shift();
+
+    const { type, detail = {} } = event;
+    if (type === "slot_destroyed") {
+      this.slotStates.delete(detail.slot_key);
+    } else if (detail.slot_key) {
+      const state = this.slotStates.get(detail.slot_key) || {};
+      this.slotStates.set(detail.slot_key, state);
+
+      if (type === "auction_end") {
+        state.latency = detail.latency;
+        state.price = detail.winner?.price ?? null;
+        state.bidder = detail.winner?.bidder || null;
+      } else if (type === "ad_render") {
+        state.adType = `${detail.ad_type}/${detail.format}`;
+        state.price = detail.price ?? state.price;
+        state.viewability = "measuring";
+      } else if (type === "ad_served") {
+        // House ads, passbacks and collapsed slots have no price or viewability
+        if (detail.level !== "auction" && detail.level !== "bidder") {
+          state.adType = detail.level;
+          state.price = null;
+          state.viewability = null;
+        }
+      } else if (type === "viewable") {
+        state.viewability = `viewable (${detail.metrics.time_in_view}ms)`;
+      } else if (type === "viewability_end" && !detail.metrics.viewable) {
+        state.viewability = detail.metrics.measurable ? "not viewable" : "not measurable";
+      }
+    }
+
+    this.appendRow(event);
+    this.scheduleRender();
+  }
+
+  summarizeSlot(slot) {
+    return {
+      id: slot.id,
+      key: slot.key,
+      slot_id: slot.slot_id,
+      size: slot.format === "native" ? "native" : slot.hidden ? "hidden" : `${slot.width}x${slot.height}`,
+      format: slot.format,
+      served: slot.served?.level || null,
+      ...this.slotStates.get(slot.key),
+    };
+  }
+
+  clear() {
+    this.timeline = [];
+    if (this.list) this.list.innerHTML = "";
+  }
+
+  setOverlayVisible(visible) {
+    this.overlayVisible = visible;
+    this.adSystem.getSlots().forEach(slot => {
+      slot.element.style.outline = visible ? "2px dashed #e91e63" : "";
+    });
+    if (this.layer) this.layer.style.display = visible ? "" : "none";
+    this.scheduleRender();
+  }
+
+  createPanel() {
+    this.layer = document.createElement("div");
+    this.layer.style.cssText = "position:absolute;top:0;left:0;width:0;height:0;z-index:2147483646;pointer-events:none;";
+
+    this.panel = document.createElement("div");
+    this.panel.style.cssText = "position:fixed;right:8px;bottom:8px;width:460px;max-width:calc(100vw - 16px);" +
+      "background:rgba(20,20,30,0.92);color:#eee;font:11px/1.4 monospace;z-index:2147483647;border-radius:4px;";
+
+    const header = document.createElement("div");
+    header.style.cssText = "display:flex;gap:6px;align-items:center;padding:4px 8px;border-bottom:1px solid #444;";
+    const title = document.createElement("strong");
+    title.textContent = "Ad debug timeline";
+    title.style.flex = "1";
+    header.appendChild(title);
+
+    const button = (label, onClick) => {
+      const element = document.createElement("button");
+      element.type = "button";
+      element.textContent = label;
+      element.style.cssText = "font:inherit;background:#333;color:#eee;border:1px solid #555;border-radius:3px;cursor:pointer;";
+      element.addEventListener("click", onClick);
+      header.appendChild(element);
+    };
+    button("Overlay", () => this.setOverlayVisible(!this.overlayVisible));
+    button("Clear", () => this.clear());
+    button("–", () => {
+      this.list.style.display = this.list.style.display === "none" ? "" : "none";
+    });
+
+    this.list = document.createElement("div");
+    this.list.style.cssText = "max-height:240px;overflow-y:auto;padding:4px 8px;";
+
+    this.panel.appendChild(header);
+    this.panel.appendChild(this.list);
+
+    const attach = () => {
+      document.body.appendChild(this.layer);
+      document.body.appendChild(this.panel);
+    };
+    if (document.body) {
+      attach();
+    } else {
+      document.addEventListener("DOMContentLoaded", attach, { once: true });
+    }
+  }
+
+  appendRow(event) {
+    if (!this.list) return;
+
+    const row = document.createElement("div");
+    row.style.whiteSpace = "nowrap";
+    row.style.overflow = "hidden";
+    row.style.textOverflow = "ellipsis";
+    row.style.color = /error|timeout|failed|dropped|blocked|open|fallback/.test(event.type) ? "#ff8a80" : "";
+
+    const summary = Object.entries(event.detail || {})
+      .filter(([, value]) => value !== null && value !== undefined && typeof value !== "object")
+      .map(([key, value]) => `${key}=${value}`)
+      .join(" ");
+    row.textContent = `+${((event.time - this.startedAt) / 1000).toFixed(2)}s ${event.type} ${summary}`;
+    row.title = JSON.stringify(event.detail);
+
+    const atBottom = this.list.scrollTop + this.list.clientHeight >= this.list.scrollHeight - 4;
+    this.list.appendChild(row);
+    while (this.list.childElementCount > this.MAX_EVENTS) {
+      this.list.firstElementChild.remove();
+    }
+    if (atBottom) this.list.scrollTop = this.list.scrollHeight;
+  }
+
+  scheduleRender() {
+    if (this.renderQueued) return;
+    this.renderQueued = true;
+    requestAnimationFrame(() => {
+      this.renderQueued = false;
+      this.renderLabels();
+    });
+  }
+
+  // Labels live in their own layer so re-rendering a slot does not wipe them
+  renderLabels() {
+    if (!this.layer || !this.overlayVisible) return;
+    this.layer.innerHTML = "";
+
+    this.adSystem.getSlots().forEach(slot => {
+      const summary = this.summarizeSlot(slot);
+      slot.element.style.outline = "2px dashed #e91e63";
+      const rect = slot.element.getBoundingClientRect();
+
+      const label = document.createElement("div");
+      label.style.cssText = "position:absolute;background:#e91e63;color:#fff;font:10px/1.3 monospace;padding:1px 4px;white-space:nowrap;";
+      label.style.top = `${rect.top + window.scrollY}px`;
+      label.style.left = `${rect.left + window.scrollX}px`;
+      label.textContent = [
+        `#${summary.slot_id}`,
+        summary.size,
+        summary.adType || "pending",
+        summary.price != null ? `$${Number(summary.price).toFixed(2)}` : null,
+        summary.latency != null ? `${summary.latency}ms` : null,
+        summary.viewability,
+      ].filter(Boolean).join(" · ");
+      this.layer.appendChild(label);
+    });
+  }
+}
+
+class AdSystem {
+  constructor(options = {}) {
+    this.bidderUrl = "https://dev.ssp.verismart.ai/api/ssp-load-ads";
+    this.updateJourneyUrl = "https://dev.ssp.verismart.ai/api/update-adjourney";
+    this.adSlots = new Map();
+    this.slotCount = 0; // numbers slot keys, which stay unique when element ids do not
+    this.config = null;
+    this.EVENTS = {
+      IMPRESSION: "impression_at",
+      BILLED_IMPRESSION: "billable_impression_at",
+      CLICK: "clicked_at",
+      VIEWABILITY_MEASURED: "viewability_measured_at",
+      CREATIVE_REJECTED: "creative_rejected_at",
+      TRACKER_DROPPED: "tracker_dropped_at",
+    };
+    
+    // Viewability criteria for billable impressions (MRC display: 50% for 1
+    // continuous second, 30% for ads larger than 242,500px²)
+    this.VIEWABILITY = {
+      THRESHOLD: 0.5, // 50% visible
+      DURATION: 1000, // 1 second (in milliseconds)
+      LARGE_AD: {
+        AREA: 242500, // px²
+        THRESHOLD: 0.3,
+      },
+    };
+
+    // Lazy loading: slots are only requested once they come within
+    // ROOT_MARGIN of the viewport
+    this.LAZY_LOAD = {
+      ENABLED: options.lazyLoad ?? true,
+      ROOT_MARGIN: options.rootMargin || "200px 0px",
+    };
+
+    // Responsive slots: data-size-mapping='{"768": ["728x90"], "0": ["320x50"]}'
+    // maps minimum viewport widths to the sizes allowed there (an empty list
+    // hides the slot). Slots are re-requested when a resize crosses a breakpoint.
+    this.SIZE_MAPPING = {
+      RESIZE_DELAY: 200, // milliseconds of quiet before breakpoints are re-evaluated
+    };
+
+    // Refresh policy: slots opt in with data-refresh="<seconds>"
+    this.REFRESH = {
+      MIN_INTERVAL: 30, // seconds
+    };
+
+    // Batched bidding: slots requested within DELAY ms of each other share one
+    // OpenRTB 2.6 request with an imp[] entry per slot
+    this.BATCH = {
+      ENABLED: options.batchRequests ?? false,
+      DELAY: 50, // milliseconds
+      CURRENCY: "USD",
+    };
+
+    // Bidder network policy: per-attempt timeout and bounded retries with
+    // jitter for retryable statuses
+    this.NETWORK = {
+      TIMEOUT: options.bidTimeout || 3000, // milliseconds per attempt
+      MAX_RETRIES: 2,
+      RETRY_BASE_DELAY: 200, // milliseconds, doubled per attempt plus jitter
+    };
+
+    // Circuit breaker: stop calling the bidder after FAILURE_THRESHOLD
+    // consecutive failures, then allow one trial request after COOLDOWN
+    this.CIRCUIT_BREAKER = {
+      FAILURE_THRESHOLD: 3,
+      COOLDOWN: 30000, // milliseconds
+    };
+
+    // Video ads: MRC video viewability (50% visible for 2 continuous seconds)
+    // and what the bid request advertises for video slots
+    this.VIDEO_VIEWABILITY = {
+      THRESHOLD: 0.5,
+      DURATION: 2000,
+    };
+    this.VIDEO = {
+      MIMES: ["video/mp4", "video/webm"],
+      PROTOCOLS: [7, 8], // VAST 4.0 and VAST 4.0 Wrapper
+    };
+    this.vastParser = new VastParser({ timeout: this.NETWORK.TIMEOUT });
+
+    // OpenRTB Native 1.2: asset ids used in the request and read back from the response
+    this.NATIVE = {
+      VER: "1.2",
+      ASSETS: {
+        TITLE: 1,
+        IMAGE: 2,
+        SPONSORED_BY: 3,
+        CTA: 4,
+      },
+      DATA_TYPES: {
+        SPONSORED: 1,
+        CTA_TEXT: 12,
+      },
+    };
+
+    // In-page auction across bidder adapters (first price, CPM after floors)
+    this.AUCTION = {
+      TIMEOUT: options.auctionTimeout || 1500, // milliseconds, when more than one bidder competes
+      CURRENCY: this.BATCH.CURRENCY,
+      // OpenRTB loss reason codes used in ${AUCTION_LOSS}
+      LOSS: {
+        INVALID_RESPONSE: 2,
+        BELOW_FLOOR: 100,
+        OUTBID: 102,
+        ADVERTISER_EXCLUSIONS: 205,
+      },
+    };
+    this.adNormalizer = new AdNormalizer({ currency: this.AUCTION.CURRENCY, nativeAssets: this.NATIVE.ASSETS });
+
+    // Frequency caps per creative (adid) and advertiser (adomain, brand_name),
+    // kept across sessions. Same-page competitive exclusion keeps a creative or
+    // advertiser from showing in two slots at once; BCAT lists IAB categories
+    // the publisher never accepts, and COMPETITIVE_CATEGORIES also excludes
+    // the categories of ads already on the page.
+    this.FREQUENCY_CAP = {
+      adid: { LIMIT: 3, WINDOW: 60 * 60 * 1000 }, // 3 per hour
+      adomain: { LIMIT: 10, WINDOW: 24 * 60 * 60 * 1000 }, // 10 per day
+      brand: { LIMIT: 10, WINDOW: 24 * 60 * 60 * 1000 },
+      ...options.frequencyCaps,
+    };
+    this.EXCLUSION = {
+      BCAT: options.bcat || [],
+      COMPETITIVE_CATEGORIES: options.competitiveCategories ?? false,
+    };
+    this.frequencyCap = new FrequencyCap(this.FREQUENCY_CAP);
+
+    // Creative safety policy (see CreativeValidator). Publishers may add
+    // domain lists and allow more media schemes through adSystemOptions.creativePolicy:
+    //   { clickDomains: { allow, block }, mediaDomains: { allow, block }, blockedAdvertisers,
+    //     mediaSchemes: ["https:", "http:", "data:"] }
+    const policy = options.creativePolicy || {};
+    this.CREATIVE_POLICY = {
+      CLICK_SCHEMES: ["https:", "http:"],
+      MEDIA_SCHEMES: policy.mediaSchemes || ["https:"],
+      TRACKER_SCHEMES: ["https:"],
+      CLICK_DOMAINS: { ALLOW: policy.clickDomains?.allow || [], BLOCK: policy.clickDomains?.block || [] },
+      MEDIA_DOMAINS: { ALLOW: policy.mediaDomains?.allow || [], BLOCK: policy.mediaDomains?.block || [] },
+      BLOCKED_ADOMAINS: policy.blockedAdvertisers || [],
+    };
+    this.creativeValidator = new CreativeValidator(this.CREATIVE_POLICY);
+
+    // Page keywords and IAB categories for the site object
+    this.contextual = new ContextualSignals();
+    this.bidders = [this.createDefaultBidder()];
+    (options.bidders || []).forEach(adapter => this.registerBidder(adapter));
+
+    // Consent: CMP lookups must answer within TIMEOUT before the first bid request
+    this.CONSENT = {
+      TIMEOUT: options.consentTimeout || 1000, // milliseconds
+      UNKNOWN_GEO_PRECISION: options.unknownGeoPrecision || "coarse", // with no CMP signal: "coarse" or "none"
+    };
+    this.consent = new ConsentManager({
+      timeout: this.CONSENT.TIMEOUT,
+      unknownGeoPrecision: this.CONSENT.UNKNOWN_GEO_PRECISION,
+    });
+
+    // Tracking events go through a durable, deduplicating queue
+    this.eventQueue = new EventQueue({
+      journeyUrl: this.updateJourneyUrl,
+      onDebug: (type, detail) => this.emitDebug(type, detail),
+    });
+
+    // Sandboxed iframe rendering: how far (px per side) a creative may expand
+    // over the page
+    this.SAFEFRAME = {
+      MAX_EXPAND: 300,
+    };
+
+    // What a slot shows when it has no ad to render, tried in order: one
+    // re-auction without the failed bidders, a house ad from the local
+    // manifest, the slot's passback HTML, then collapsing the slot. Slots can
+    // override the chain with data-fallback="house,passback"
+    this.FALLBACK = {
+      CHAIN: ["bidder", "house", "passback", "collapse"],
+      HOUSE_ADS_URL: options.houseAdsUrl || "house-ads.json",
+    };
+
+    // Auto-register .ad-placeholder elements added to the DOM after load
+    this.DOM_OBSERVER = {
+      ENABLED: options.observeDom ?? true,
+    };
+
+    this.lazyObserver = null;
+    this.domObserver = null;
+    this.lazySlots = new Map();
+    this.refreshTimers = new Map();
+    this.slotCleanups = new Map();
+    this.pendingBatch = [];
+    this.batchTimer = null;
+    this.batchUnsupported = false;
+    this.breaker = { state: "closed", failures: 0, openedAt: 0 };
+    this.houseAds = null;
+    this.resizeTimer = null;
+    this.debugListeners = typeof options.onDebug === "function" ? [options.onDebug] : [];
+  }
+
+  async initialize() {
+    // Identity providers, bid requests and trackers depend on consent, so resolve it first
+    await this.consent.load();
+
+    try {
+      this.config = await initializeAdSystemConfig({ consent: this.consent });
+    } catch (error) {
+      console.error("Ad System Configuration could not be resolved:", error);
+      return;
+    }
+
+    // Deliver anything earlier pages could not
+    this.eventQueue.start();
+
+    this.setupLazyLoading();
+    document.addEventListener("visibilitychange", () => this.handleVisibilityChange());
+    window.addEventListener("resize", () => this.handleResize());
+
+    // Queued commands run first, so page context and bidders set up before
+    // ads.js was ready apply to the first auctions
+    this.installCommandQueue();
+
+    // Register and display every placeholder already in the page, in parallel
+    const slotPromises = Array.from(document.querySelectorAll(".ad-placeholder")).map(slotElement => {
+      const slot = this.registerPlaceholder(slotElement);
+      return slot ? this.displaySlot(slot) : Promise.resolve();
+    });
+
+    if (this.DOM_OBSERVER.ENABLED) {
+      this.setupDomObserver();
+    }
+
+    try {
+      await Promise.allSettled(slotPromises);
+    } catch (error) {
+      console.error("Error initializing ad system:", error);
+    }
+  }
+
+  /**
+   * Registers an ad slot. Any value missing from `definition` is read from the
+   * element's data-width, data-height, data-slot_id, data-refresh,
+   * data-bidfloor and data-format ("banner", "video" or "native") attributes.
+   * @param {HTMLElement|string} target - The ad placeholder or its id
+   * @param {Object} [definition] - { slot_id, width, height, refresh, bidfloor, format }
+   * @returns {Object|null} The registered slot, or null if it is not valid
+   */
+  defineSlot(target, definition = {}) {
+    const slotElement = this.resolveSlotElement(target);
+    if (!slotElement) {
+      console.error("Ad slot element not found:", target);
+      return null;
+    }
+
+    if (this.adSlots.has(slotElement)) {
+      return this.adSlots.get(slotElement);
+    }
+
+    const width = definition.width || parseInt(slotElement.dataset.width, 10) || 0;
+    const height = definition.height || parseInt(slotElement.dataset.height, 10) || 0;
+    const slot_id = definition.slot_id || parseInt(slotElement.dataset.slot_id, 10) || 0;
+    const refresh = definition.refresh || parseInt(slotElement.dataset.refresh, 10) || 0;
+    const bidfloor = definition.bidfloor || parseFloat(slotElement.dataset.bidfloor) || 0;
+    const format = definition.format || slotElement.dataset.format || "banner";
+    const sizeMapping = this.parseSizeMapping(definition.sizeMapping || slotElement.dataset.sizeMapping, target);
+
+    // Native slots are sized by their template and mapped slots by their
+    // breakpoint, so only the slot id is required for them
+    if (!slot_id || (format !== "native" && !sizeMapping && (!width || !height))) {
+      console.error("Ad size & slot not defined:", target);
+      return null;
+    }
+
+    // Passback markup: definition.passback HTML or <template class="ad-passback">
+    // (the older class="ad-fallback" still works)
+    let passbackTemplate = slotElement.querySelector("template.ad-passback, template.ad-fallback");
+    if (typeof definition.passback === "string") {
+      passbackTemplate = document.createElement("template");
+      passbackTemplate.innerHTML = definition.passback;
+    }
+
+    const fallbackChain = (definition.fallback ||
+      (slotElement.dataset.fallback ? slotElement.dataset.fallback.split(",") : this.FALLBACK.CHAIN))
+      .map(level => level.trim())
+      .filter(level => {
+        if (this.FALLBACK.CHAIN.includes(level)) return true;
+        console.warn(`Unknown fallback level "${level}" for slot:`, target);
+        return false;
+      });
+
+    slotElement.innerHTML = `<div style="width:100%;height:100%;display:flex;align-items:center;justify-content:center;background:#f0f0f0;color:#666;font-size:12px;">Loading ad...</div>`;
+
+    const slot = {
+      id: slotElement.id,
+      key: `slot-${++this.slotCount}`,
+      element: slotElement,
+      slot_id,
+      width,
+      height,
+      sizes: width && height ? [[width, height]] : [],
+      sizeMapping,
+      breakpoint: undefined,
+      hidden: false,
+      refresh: refresh > 0 ? Math.max(refresh, this.REFRESH.MIN_INTERVAL) : 0,
+      bidfloor,
+      format,
+      passbackTemplate,
+      fallbackChain,
+      fallbackState: null,
+      served: null,
+      creative: null, // { adid, adomain, brand, cat } of the ad showing, for competitive exclusion
+      displayed: false,
+      generation: 0, // bumped when a resize or refresh supersedes the requests in flight
+      contextFingerprint: null, // page context the slot's ad was last requested with
+    };
+
+    this.applySizeMapping(slot);
+    this.applySlotSize(slot);
+
+    this.adSlots.set(slotElement, slot);
+    return slot;
+  }
+
+  /**
+   * Normalizes a size mapping ({ "<min viewport width>": ["728x90", [970, 90]] },
+   * as JSON from data-size-mapping or an object) into entries sorted from the
+   * widest breakpoint down
+   * @returns {Array<Object>|null} [{ minWidth, sizes: [[w, h]] }], or null without a mapping
+   */
+  parseSizeMapping(mapping, target) {
+    if (!mapping) return null;
+
+    try {
+      const parsed = typeof mapping === "string" ? JSON.parse(mapping) : mapping;
+
+      return Object.entries(parsed)
+        .map(([minWidth, sizes]) => ({
+          minWidth: parseInt(minWidth, 10),
+          sizes: [].concat(sizes).map(size =>
+            (typeof size === "string" ? size.split("x") : size).map(value => parseInt(value, 10))
+          ).filter(([w, h]) => w > 0 && h > 0),
+        }))
+        .filter(entry => entry.minWidth >= 0)
+        .sort((a, b) => b.minWidth - a.minWidth);
+    } catch (error) {
+      console.error("Invalid size mapping for slot:", target, error);
+      return null;
+    }
+  }
+
+  /**
+   * Selects the slot's sizes for the current viewport width. The first size of
+   * the matching breakpoint becomes the slot's primary width/height.
+   * @param {Object} slot - Slot definition
+   * @returns {boolean} Whether the slot moved to a different breakpoint
+   */
+  applySizeMapping(slot) {
+    if (!slot.sizeMapping) return false;
+
+    const entry = slot.sizeMapping.find(candidate => window.innerWidth >= candidate.minWidth);
+    const breakpoint = entry ? entry.minWidth : null;
+    if (breakpoint === slot.breakpoint) return false;
+
+    slot.breakpoint = breakpoint;
+    slot.sizes = entry ? entry.sizes : [];
+    slot.hidden = !slot.sizes.length;
+    if (!slot.hidden) {
+      [slot.width, slot.height] = slot.sizes[0];
+    }
+    return true;
+  }
+
+  // Sizes (or hides) the placeholder to the slot's current width/height
+  applySlotSize(slot) {
+    const slotElement = slot.element;
+    const container = slotElement.closest(".ad-container");
+
+    slotElement.style.display = slot.hidden ? "none" : "";
+    if (container) {
+      container.style.display = slot.hidden ? "none" : "";
+    }
+
+    if (!slot.hidden && slot.format !== "native") {
+      slotElement.style.width = `${slot.width}px`;
+      slotElement.style.height = `${slot.height}px`;
+    }
+  }
+
+  /**
+   * Matches a multi-size slot to the winning creative's dimensions when they
+   * are one of the slot's allowed sizes
+   */
+  sizeSlotToCreative(slot, ad) {
+    const { dimensions } = ad;
+    if (!dimensions || slot.format === "native") return;
+
+    const size = slot.sizes.find(([w, h]) => w === dimensions.width && h === dimensions.height);
+    if (size && (size[0] !== slot.width || size[1] !== slot.height)) {
+      [slot.width, slot.height] = size;
+      this.applySlotSize(slot);
+    }
+  }
+
+  // Re-evaluates size mappings once resizing settles
+  handleResize() {
+    clearTimeout(this.resizeTimer);
+    this.resizeTimer = setTimeout(() => {
+      this.resizeTimer = null;
+
+      this.adSlots.forEach(slot => {
+        if (!this.applySizeMapping(slot)) return;
+
+        this.emitDebug("breakpoint_change", {
+          slot_id: slot.slot_id,
+          slot: slot.id,
+          slot_key: slot.key,
+          breakpoint: slot.breakpoint,
+          sizes: slot.sizes.map(([w, h]) => `${w}x${h}`).join(","),
+        });
+
+        // Whatever was showing, or is still being auctioned, was chosen for the old sizes
+        slot.generation++;
+        this.lazyObserver?.unobserve(slot.element);
+        this.lazySlots.delete(slot.element);
+        this.cancelRefresh(slot.element);
+        this.runSlotCleanups(slot.element);
+        slot.element.innerHTML = "";
+        slot.creative = null;
+        this.applySlotSize(slot);
+
+        // Slots the publisher has not displayed yet wait for display()
+        if (!slot.displayed) return;
+        slot.displayed = false;
+        this.displaySlot(slot);
+      });
+    }, this.SIZE_MAPPING.RESIZE_DELAY);
+  }
+
+  // Registers a .ad-placeholder found in the page. Incomplete ones are
+  // collapsed; defineSlot has already logged why.
+  registerPlaceholder(slotElement) {
+    if (this.adSlots.has(slotElement)) return null;
+
+    const slot = this.defineSlot(slotElement);
+    if (!slot) {
+      this.emitDebug("slot_invalid", { slot: slotElement.id });
+      this.collapseSlot(slotElement);
+    }
+    return slot;
+  }
+
+  /**
+   * Starts loading a registered slot, deferring it until it approaches the
+   * viewport when lazy loading is enabled
+   * @param {Object} slot - A slot returned by defineSlot
+   * @returns {Promise<void>}
+   */
+  displaySlot(slot) {
+    if (slot.displayed) return Promise.resolve();
+    slot.displayed = true;
+
+    // Hidden at this breakpoint: requested once a resize makes it visible
+    if (slot.hidden) return Promise.resolve();
+
+    // Defer below-the-fold slots until they approach the viewport
+    if (this.lazyObserver) {
+      this.lazySlots.set(slot.element, slot);
+      this.lazyObserver.observe(slot.element);
+      return Promise.resolve();
+    }
+
+    return this.loadAdForSlot(slot.element, slot);
+  }
+
+  /**
+   * Re-requests and re-renders slots immediately
+   * @param {Array<HTMLElement|string>} [targets] - Slots to refresh; all displayed slots if omitted
+   * @returns {Promise<void>}
+   */
+  async refresh(targets) {
+    const slots = targets
+      ? [].concat(targets).map(target => this.adSlots.get(this.resolveSlotElement(target))).filter(Boolean)
+      : Array.from(this.adSlots.values()).filter(slot => slot.displayed);
+
+    await Promise.allSettled(slots.filter(slot => !slot.hidden).map(slot => {
+      this.lazyObserver?.unobserve(slot.element);
+      this.lazySlots.delete(slot.element);
+      this.cancelRefresh(slot.element);
+      slot.displayed = true;
+      return this.loadAdForSlot(slot.element, slot);
+    }));
+  }
+
+  /**
+   * Re-requests the ads already showing when the page content (section,
+   * keywords or categories) changed since they were requested, e.g. after a search
+   * @returns {Promise<void>}
+   */
+  async refreshIfContentChanged() {
+    const fingerprint = this.contextual.fingerprint();
+
+    // Slots still waiting for lazy loading will pick up the new context anyway
+    const outdated = Array.from(this.adSlots.values()).filter(slot =>
+      slot.served && !slot.hidden && slot.contextFingerprint !== null && slot.contextFingerprint !== fingerprint
+    );
+    if (!outdated.length) return;
+
+    this.emitDebug("content_changed", { keywords: this.contextual.keywords().slice(0, 5).join(","), cat: this.contextual.categories().join(",") });
+    await this.refresh(outdated.map(slot => slot.element));
+  }
+
+  /**
+   * Unregisters a slot, tearing down its lazy-load and viewability observers
+   * and any pending refresh timer
+   * @param {HTMLElement|string} target - The ad placeholder or its id
+   * @returns {boolean} Whether a slot was destroyed
+   */
+  destroySlot(target) {
+    const slotElement = this.resolveSlotElement(target);
+    if (!slotElement || !this.adSlots.has(slotElement)) return false;
+
+    this.lazyObserver?.unobserve(slotElement);
+    this.lazySlots.delete(slotElement);
+    this.cancelRefresh(slotElement);
+    this.runSlotCleanups(slotElement);
+    this.emitDebug("slot_destroyed", { slot: slotElement.id, slot_key: this.adSlots.get(slotElement).key });
+    this.adSlots.delete(slotElement);
+    slotElement.innerHTML = "";
+    return true;
+  }
+
+  getSlots() {
+    return Array.from(this.adSlots.values());
+  }
+
+  resolveSlotElement(target) {
+    return typeof target === "string" ? document.getElementById(target) : target || null;
+  }
+
+  /**
+   * Replaces window.adq with the public API and runs any commands queued
+   * before the ad system was ready. Commands receive the API as argument:
+   *   window.adq = window.adq || [];
+   *   adq.push(api => api.display("div-gpt-ad-header"));
+   */
+  installCommandQueue() {
+    const queued = Array.isArray(window.adq) ? window.adq : [];
+
+    const api = {
+      push: (...commands) => {
+        commands.forEach(run);
+        return commands.length;
+      },
+      defineSlot: (target, definition) => this.defineSlot(target, definition),
+      display: (target) => {
+        const slot = this.defineSlot(target);
+        return slot ? this.displaySlot(slot) : Promise.resolve();
+      },
+      refresh: (targets) => this.refresh(targets),
+      destroySlot: (target) => this.destroySlot(target),
+      getSlots: () => this.getSlots(),
+      addDebugListener: (listener) => this.addDebugListener(listener),
+      registerBidder: (adapter) => this.registerBidder(adapter),
+      setPageContent: (source, articles) => this.contextual.setContent(source, articles),
+      setPageSection: (section) => this.contextual.setSection(section),
+      refreshIfContentChanged: () => this.refreshIfContentChanged(),
+    };
+
+    const run = (command) => {
+      if (typeof command !== "function") return;
+      try {
+        command(api);
+      } catch (error) {
+        console.error("Ad command failed:", error);
+      }
+    };
+
+    window.adq = api;
+    queued.forEach(run);
+  }
+
+  /**
+   * Watches the DOM so placeholders added later (e.g. by script.js or an SPA
+   * route change) are registered automatically, and removed ones destroyed
+   */
+  setupDomObserver() {
+    if (typeof MutationObserver === "undefined") return;
+
+    const findPlaceholders = (node) => {
+      if (node.nodeType !== Node.ELEMENT_NODE) return [];
+      const matches = Array.from(node.querySelectorAll(".ad-placeholder"));
+      return node.matches(".ad-placeholder") ? [node, ...matches] : matches;
+    };
+
+    this.domObserver = new MutationObserver((mutations) => {
+      mutations.forEach(mutation => {
+        mutation.removedNodes.forEach(node => {
+          findPlaceholders(node)
+            .filter(slotElement => !slotElement.isConnected)
+            .forEach(slotElement => this.destroySlot(slotElement));
+        });
+
+        mutation.addedNodes.forEach(node => {
+          findPlaceholders(node).forEach(slotElement => {
+            const slot = this.registerPlaceholder(slotElement);
+            if (slot) this.displaySlot(slot);
+          });
+        });
+      });
+    });
+
+    this.domObserver.observe(document.body, { childList: true, subtree: true });
+  }
+
+  /**
+   * Creates the observer that loads lazy slots once they come within
+   * LAZY_LOAD.ROOT_MARGIN of the viewport
+   */
+  setupLazyLoading() {
+    if (!this.LAZY_LOAD.ENABLED || typeof IntersectionObserver === "undefined") return;
+
+    this.lazyObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (!entry.isIntersecting) return;
+
+        const slot = this.lazySlots.get(entry.target);
+        this.lazyObserver.unobserve(entry.target);
+        this.lazySlots.delete(entry.target);
+
+        if (slot) {
+          this.loadAdForSlot(entry.target, slot);
+        }
+      });
+    }, {
+      rootMargin: this.LAZY_LOAD.ROOT_MARGIN
+    });
+  }
+
+  /**
+   * Runs the auction for a slot and renders the winner. Failures continue
+   * the slot's fallback chain (see showFallback).
+   * @param {HTMLElement} slotElement - The ad placeholder
+   * @param {Object} slot - Slot definition
+   * @param {Array<Object>} [retryBidders] - Bidders for a fallback re-auction
+   */
+  async loadAdForSlot(slotElement, slot, retryBidders = null) {
+    // A fresh load (first display or refresh) starts the chain over and
+    // supersedes any load still in flight
+    if (!retryBidders) {
+      slot.fallbackState = { step: 0, excluded: new Set(), attempted: [], bidder: null, reason: null };
+      slot.generation++;
+    }
+    const generation = slot.generation;
+
+    const bidders = retryBidders || this.bidders.filter(bidder => !bidder.fallbackOnly);
+    slot.fallbackState.attempted = bidders.map(bidder => bidder.code);
+
+    try {
+      const ad = await this.runAuction(slot, bidders);
+
+      // Slot was destroyed, resized or refreshed while the bid was in flight
+      if (this.isStale(slotElement, slot, generation)) return;
+
+      if (!ad) {
+        this.showFallback(slotElement, slot, "no_bid");
+        return;
+      }
+
+      slot.fallbackState.bidder = ad.auction.bidder;
+      this.recordServedLevel(slotElement, slot, retryBidders ? "bidder" : "auction",
+        retryBidders ? slot.fallbackState.reason : null);
+      this.renderAd(slotElement, ad, slot);
+    } catch (error) {
+      if (this.isStale(slotElement, slot, generation)) return;
+
+      console.error(`Ad Error [${slot.width}x${slot.height}]:`, error);
+      this.showFallback(slotElement, slot, error.name === "CircuitOpenError" ? "breaker_open" : "bid_error");
+    }
+  }
+
+  // Whether work started for generation of the slot no longer applies to the placeholder
+  isStale(slotElement, slot, generation) {
+    return this.adSlots.get(slotElement) !== slot || slot.generation !== generation;
+  }
+
+  /**
+   * Requests a bid for one slot, queueing it into a shared OpenRTB batch when
+   * batching is enabled and the endpoint has not rejected batches
+   * @param {Object} slot - A slot returned by defineSlot
+   * @returns {Promise<Object>} The bid response for this slot
+   */
+  requestBid(slot) {
+    if (!this.BATCH.ENABLED || this.batchUnsupported) {
+      return this.makeBidRequest(slot);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pendingBatch.push({ slot, resolve, reject });
+
+      if (!this.batchTimer) {
+        this.batchTimer = setTimeout(() => this.flushBatch(), this.BATCH.DELAY);
+      }
+    });
+  }
+
+  async flushBatch() {
+    const entries = this.pendingBatch;
+    this.pendingBatch = [];
+    this.batchTimer = null;
+
+    try {
+      const responses = await this.makeBatchBidRequest(entries.map(entry => entry.slot));
+
+      if (!responses) {
+        // Endpoint rejected the batch: fall back to one request per slot for the rest of the page
+        this.batchUnsupported = true;
+        entries.forEach(({ slot, resolve, reject }) => {
+          this.makeBidRequest(slot).then(resolve, reject);
+        });
+        return;
+      }
+
+      entries.forEach((entry, index) => entry.resolve(responses[index]));
+    } catch (error) {
+      entries.forEach(entry => entry.reject(error));
+    }
+  }
+
+  /**
+   * Builds the OpenRTB user object: consent string plus the first-party ID,
+   * extended IDs and segments from the context providers
+   * @returns {Object}
+   */
+  buildUser() {
+    const user = this.consent.user();
+
+    if (this.config.userId) {
+      user.id = this.config.userId;
+    }
+    if (this.config.eids?.length) {
+      user.eids = this.config.eids;
+    }
+    if (this.config.userData?.length) {
+      user.data = this.config.userData;
+    }
+
+    return user;
+  }
+
+  /**
+   * Builds the OpenRTB device object, reducing geo and IP detail to what
+   * the user's consent allows
+   * @returns {Object}
+   */
+  buildDevice() {
+    const precision = this.consent.geoPrecision();
+    let geo = this.config.geo;
+    let ipv6 = this.config.ipv6;
+
+    if (precision === "none") {
+      geo = geo?.country ? { country: geo.country } : undefined;
+      ipv6 = undefined;
+    } else if (precision === "coarse") {
+      // Two decimals is roughly 1 km; the city and the interface part of the IP are dropped
+      const round = (value) => (typeof value === "number" ? Math.round(value * 100) / 100 : value);
+      geo = geo ? { ...geo, lat: round(geo.lat), lon: round(geo.lon), city: undefined } : geo;
+      ipv6 = this.truncateIpv6(ipv6);
+    }
+
+    return {
+      ua: navigator.userAgent,
+      geo,
+      ip: precision === "none" ? undefined : this.truncateIpv4(this.config.ip, precision),
+      ipv6,
+      devicetype: this.config.deviceType,
+      make: this.config.deviceMake,
+      model: this.config.deviceModel,
+      os: this.config.deviceOs,
+      osv: this.config.deviceOsVersion,
+      sua: this.config.deviceSua,
+      js: 1,
+      carrier: this.config.deviceCarrier,
+    };
+  }
+
+  // Zeroes the last octet of an IPv4 address unless precise geo is allowed
+  truncateIpv4(ip, precision) {
+    if (!ip || precision === "precise") return ip;
+    return ip.replace(/\.\d+$/, ".0");
+  }
+
+  // Keeps the first 48 bits (network prefix) of an IPv6 address
+  truncateIpv6(ipv6) {
+    if (!ipv6) return ipv6;
+    const groups = ipv6.split("::")[0].split(":").slice(0, 3);
+    return `${groups.join(":")}::`;
+  }
+
+  async makeBidRequest(slot) {
+    const bidRequest = {
+      slot_id: slot.slot_id,
+      site: this.buildSite([slot]),
+      device: this.buildDevice(),
+      regs: this.consent.regs(),
+      user: this.buildUser(),
+    };
+
+    if (slot.format === "native") {
+      bidRequest.native = this.buildNativeRequest(slot);
+    } else {
+      // Every size allowed at the current breakpoint, primary size first
+      bidRequest.sizes = slot.sizes.map(([w, h]) => ({ w, h }));
+    }
+
+    Object.assign(bidRequest, this.buildExclusions([slot]));
+
+    try {
+      const response = await this.fetchBidder({
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(bidRequest),
+      });
+
+      if (!response.ok) throw new Error(`HTTP Error ${response.status}`);
+      if (response.bodyError) throw response.bodyError;
+      return response.body;
+    } catch (error) {
+      if (error.name !== "CircuitOpenError") {
+        console.error("Bid request failed:", error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Builds an OpenRTB 2.6 bid request with one imp per slot
+   * @param {Array<Object>} slots - Slots to include, in imp order
+   * @returns {Object} The bid request
+   */
+  buildBatchBidRequest(slots) {
+    return {
+      id: "req-" + Math.random().toString(36).substring(2, 12),
+      imp: slots.map((slot, index) => this.buildImp(slot, String(index + 1))),
+      site: this.buildSite(slots),
+      device: this.buildDevice(),
+      regs: this.consent.regs(),
+      user: this.buildUser(),
+      at: 1,
+      tmax: this.NETWORK.TIMEOUT,
+      cur: [this.BATCH.CURRENCY],
+      ...this.buildExclusions(slots),
+    };
+  }
+
+  /**
+   * Contextual site object. Remembers on each slot the context its ad is
+   * requested with, so content changes can be detected per slot.
+   * @param {Array<Object>} slots - Slots the request is for
+   */
+  buildSite(slots) {
+    const fingerprint = this.contextual.fingerprint();
+    slots.forEach(slot => {
+      slot.contextFingerprint = fingerprint;
+    });
+    return this.contextual.site();
+  }
+
+  /**
+   * Blocked advertisers and categories for a bid request: the publisher's
+   * blocked advertisers, advertisers at their frequency cap or already
+   * showing in another slot, plus the publisher's blocked categories
+   * @param {Array<Object>} slots - Slots the request is for (their own ads do not count)
+   * @returns {Object} { badv, bcat }, each omitted when empty
+   */
+  buildExclusions(slots) {
+    const badv = new Set([...this.CREATIVE_POLICY.BLOCKED_ADOMAINS, ...this.frequencyCap.cappedDomains()]);
+    const bcat = new Set(this.EXCLUSION.BCAT);
+
+    this.adSlots.forEach(other => {
+      if (slots.includes(other) || !other.creative) return;
+      other.creative.adomain.forEach(domain => badv.add(domain));
+      if (this.EXCLUSION.COMPETITIVE_CATEGORIES) {
+        other.creative.cat.forEach(category => bcat.add(category));
+      }
+    });
+
+    const exclusions = {};
+    if (badv.size) exclusions.badv = Array.from(badv);
+    if (bcat.size) exclusions.bcat = Array.from(bcat);
+    return exclusions;
+  }
+
+  /**
+   * Checks a creative against frequency caps and the ads showing in other slots
+   * @param {Object} slot - Slot the creative would render in
+   * @param {Object} identity - The creative's Ad#advertiser (see AdNormalizer)
+   * @returns {string|null} Why the creative may not show, or null
+   */
+  exclusionViolation(slot, identity) {
+    const capped = this.frequencyCap.cappedKey(identity);
+    if (capped) return `frequency_cap:${capped}`;
+
+    for (const other of this.adSlots.values()) {
+      if (other === slot || !other.creative) continue;
+
+      if (identity.adid && identity.adid === other.creative.adid) {
+        return `duplicate_creative:${identity.adid}`;
+      }
+      const domain = identity.adomain.find(candidate => other.creative.adomain.includes(candidate));
+      if (domain) {
+        return `competing_advertiser:${domain}`;
+      }
+      if (identity.brand && identity.brand.toLowerCase() === other.creative.brand?.toLowerCase()) {
+        return `competing_advertiser:${identity.brand}`;
+      }
+      if (this.EXCLUSION.COMPETITIVE_CATEGORIES && identity.cat.some(category => other.creative.cat.includes(category))) {
+        return "competing_category";
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Builds the OpenRTB imp object for a slot
+   * @param {Object} slot - Slot definition
+   * @param {string} id - imp id, unique within the request
+   * @returns {Object}
+   */
+  buildImp(slot, id) {
+    const imp = {
+      id,
+      tagid: String(slot.slot_id),
+      bidfloor: slot.bidfloor,
+      bidfloorcur: this.BATCH.CURRENCY,
+    };
+
+    // Lets the SSP target line items at one section of the site
+    if (this.contextual.section) {
+      imp.ext = { data: { section: this.contextual.section } };
+    }
+
+    if (slot.format === "native") {
+      imp.native = this.buildNativeRequest(slot);
+    } else if (slot.format === "video") {
+      imp.video = {
+        mimes: this.VIDEO.MIMES,
+        protocols: this.VIDEO.PROTOCOLS,
+        w: slot.width,
+        h: slot.height,
+        linearity: 1,
+        plcmt: 4, // No-content / standalone
+        playbackmethod: [6], // Viewport entry, sound off
+      };
+    } else {
+      imp.banner = {
+        format: slot.sizes.map(([w, h]) => ({ w, h })),
+        w: slot.width,
+        h: slot.height,
+      };
+    }
+
+    return imp;
+  }
+
+  /**
+   * Sends a single OpenRTB request for several slots and splits the response
+   * into one single-bid response per slot, matched by impid
+   * @param {Array<Object>} slots - Slots to bid on
+   * @returns {Promise<Array<Object>|null>} Per-slot responses in slot order,
+   *   or null if the endpoint rejected the batch
+   */
+  async makeBatchBidRequest(slots) {
+    const bidRequest = this.buildBatchBidRequest(slots);
+
+    let response;
+    try {
+      response = await this.fetchBidder({
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(bidRequest),
+      });
+    } catch (error) {
+      if (error.name !== "CircuitOpenError") {
+        console.error("Batch bid request failed:", error);
+      }
+      throw error;
+    }
+
+    // 4xx means the endpoint does not accept imp[] batches
+    if (response.status >= 400 && response.status < 500) {
+      console.warn(`Batch bid request rejected (HTTP ${response.status}), falling back to per-slot requests`);
+      return null;
+    }
+    if (!response.ok) throw new Error(`HTTP Error ${response.status}`);
+
+    if (response.bodyError) {
+      console.warn("Batch bid response is not valid JSON, falling back to per-slot requests");
+      return null;
+    }
+    // 204 No Content: no bids for any imp
+    const bidResponse = response.status === 204 ? { id: bidRequest.id, seatbid: [] } : response.body;
+
+    if (!bidResponse || (bidResponse.seatbid && !Array.isArray(bidResponse.seatbid))) {
+      console.warn("Batch bid response is not OpenRTB, falling back to per-slot requests");
+      return null;
+    }
+
+    // Keep the highest-priced bid for each imp
+    const bestByImp = new Map();
+    (bidResponse.seatbid || []).forEach(seatbid => {
+      (seatbid.bid || []).forEach(bid => {
+        const current = bestByImp.get(String(bid.impid));
+        if (!current || (bid.price || 0) > (current.bid.price || 0)) {
+          bestByImp.set(String(bid.impid), { seatbid, bid });
+        }
+      });
+    });
+
+    return bidRequest.imp.map(imp => {
+      const match = bestByImp.get(imp.id);
+      return this.singleBidResponse(bidResponse, match?.seatbid, match?.bid);
+    });
+  }
+
+  /**
+   * Registers a bidder adapter for the in-page auction. An adapter either
+   * implements fetchBids(slot, context) itself, or provides:
+   *   code: "name",
+   *   buildRequest(slot, context) -> { url, data }
+   *   interpretResponse(body, slot) -> Array<bid>
+   * Adapters with fallbackOnly: true sit out the first auction and are only
+   * asked when a slot's fallback chain re-auctions.
+   * Bids use the common shape built by normalizeBidResponse:
+   *   { bidder, price, currency, priority, bidResponse, nurl, burl, lurl }
+   * @param {Object} adapter
+   */
+  registerBidder(adapter) {
+    if (!adapter?.code || (typeof adapter.fetchBids !== "function" &&
+        (typeof adapter.buildRequest !== "function" || typeof adapter.interpretResponse !== "function"))) {
+      console.error("Invalid bidder adapter:", adapter);
+      return;
+    }
+    this.bidders = this.bidders.filter(bidder => bidder.code !== adapter.code).concat(adapter);
+  }
+
+  // The first-party SSP, reached through requestBid (batching, retries, circuit breaker)
+  createDefaultBidder() {
+    return {
+      code: "verismart",
+      fetchBids: async (slot) => this.normalizeBidResponse(await this.requestBid(slot), "verismart"),
+    };
+  }
+
+  /**
+   * Converts a brand or ORTB bid response into the common bid shape, one
+   * entry per ORTB bid
+   * @param {Object} bidResponse - Raw response from a bidder
+   * @param {string} bidder - Adapter code
+   * @returns {Array<Object>}
+   */
+  normalizeBidResponse(bidResponse, bidder) {
+    if (!bidResponse) return [];
+
+    if (bidResponse.ad_type === "brand") {
+      const price = Number(bidResponse.price ?? bidResponse.cpm);
+      return [{
+        bidder,
+        price: price || 0,
+        currency: bidResponse.cur || this.AUCTION.CURRENCY,
+        // Unpriced brand campaigns are direct-sold and take precedence over the auction
+        priority: !price,
+        bidResponse,
+        nurl: null,
+        burl: null,
+        lurl: null,
+      }];
+    }
+
+    const bids = [];
+    (bidResponse.seatbid || []).forEach(seatbid => {
+      (seatbid.bid || []).forEach(bid => {
+        bids.push({
+          bidder,
+          price: Number(bid.price) || 0,
+          currency: bidResponse.cur || this.AUCTION.CURRENCY,
+          priority: false,
+          bidResponse: this.singleBidResponse(bidResponse, seatbid, bid),
+          nurl: bid.nurl || null,
+          burl: bid.burl || null,
+          lurl: bid.lurl || null,
+        });
+      });
+    });
+    return bids;
+  }
+
+  // A copy of an ORTB response holding only one seat and bid, as the renderers expect
+  singleBidResponse(bidResponse, seatbid, bid) {
+    return {
+      ...bidResponse,
+      ad_type: "ortb",
+      seatbid: seatbid && bid ? [{ ...seatbid, bid: [bid] }] : [],
+    };
+  }
+
+  async fetchAdapterBids(adapter, slot) {
+    const context = {
+      imp: this.buildImp(slot, "1"),
+      site: this.buildSite([slot]),
+      device: this.buildDevice(),
+      regs: this.consent.regs(),
+      user: this.buildUser(),
+      tmax: this.AUCTION.TIMEOUT,
+      cur: this.AUCTION.CURRENCY,
+      ...this.buildExclusions([slot]),
+    };
+
+    if (typeof adapter.fetchBids === "function") {
+      return adapter.fetchBids(slot, context);
+    }
+
+    const request = adapter.buildRequest(slot, context);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.AUCTION.TIMEOUT);
+
+    try {
+      const response = await fetch(request.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(request.data),
+        credentials: "omit",
+        signal: controller.signal,
+      });
+
+      if (response.status === 204) return [];
+      if (!response.ok) throw new Error(`HTTP Error ${response.status}`);
+
+      const bids = adapter.interpretResponse(await response.json(), slot) || [];
+      return bids.map(bid => ({ bidder: adapter.code, priority: false, currency: this.AUCTION.CURRENCY, ...bid }));
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Collects bids for a slot from every registered adapter and picks the
+   * winner by CPM after the slot floor. Every bid is validated into an Ad
+   * (see AdNormalizer) first; invalid and losing ORTB bids receive loss
+   * notices through their lurl.
+   * @param {Object} slot - Slot definition
+   * @param {Array<Object>} [bidders] - Adapters to ask; defaults to all registered
+   * @returns {Promise<Object|null>} The winning Ad with its auction outcome
+   *   ({ bidder, loss, mbr }), or null when nothing won
+   */
+  async runAuction(slot, bidders = this.bidders) {
+    const competing = bidders.length > 1;
+    const errors = [];
+    const startedAt = performance.now();
+
+    const results = await Promise.all(bidders.map(adapter => {
+      this.emitDebug("bid_request", { bidder: adapter.code, slot_id: slot.slot_id, slot: slot.id, slot_key: slot.key });
+      const request = this.fetchAdapterBids(adapter, slot).then(bids => {
+        this.emitDebug("bid_response", {
+          bidder: adapter.code,
+          slot_id: slot.slot_id,
+          slot: slot.id,
+          slot_key: slot.key,
+          bids: bids.length,
+          latency: Math.round(performance.now() - startedAt),
+        });
+        return bids;
+      });
+
+      // A lone bidder is allowed its own retries; competing bidders share the auction timeout
+      const timed = competing
+        ? Promise.race([
+          request,
+          new Promise(resolve => setTimeout(() => {
+            this.emitDebug("auction_bidder_timeout", { bidder: adapter.code, slot_id: slot.slot_id, slot: slot.id, slot_key: slot.key });
+            resolve([]);
+          }, this.AUCTION.TIMEOUT)),
+        ])
+        : request;
+
+      return timed.catch(error => {
+        errors.push(error);
+        this.emitDebug("auction_bidder_error", {
+          bidder: adapter.code,
+          slot_id: slot.slot_id,
+          slot: slot.id,
+          slot_key: slot.key,
+          error: error.message,
+          latency: Math.round(performance.now() - startedAt),
+        });
+        return [];
+      });
+    }));
+
+    const bids = results.flat();
+
+    // Every bidder failed: surface the error so loadAdForSlot can pick error or fallback
+    if (!bids.length && errors.length === bidders.length) {
+      throw errors[0];
+    }
+
+    const eligible = [];
+    bids.forEach(bid => {
+      const { ad, errors: fieldErrors } = this.adNormalizer.normalize(bid.bidResponse, slot);
+      bid.ad = ad;
+
+      if (fieldErrors.length) {
+        console.warn(`Invalid bid response from ${bid.bidder}:`,
+          fieldErrors.map(({ field, message }) => `${field || "response"} ${message}`).join("; "));
+        this.emitDebug("bid_invalid", { bidder: bid.bidder, slot_id: slot.slot_id, slot: slot.id, slot_key: slot.key, errors: fieldErrors });
+        this.sendLossNotice(bid, this.AUCTION.LOSS.INVALID_RESPONSE);
+      } else if (bid.currency !== this.AUCTION.CURRENCY) {
+        this.sendLossNotice(bid, this.AUCTION.LOSS.INVALID_RESPONSE);
+      } else if (!bid.priority && bid.price < slot.bidfloor) {
+        this.sendLossNotice(bid, this.AUCTION.LOSS.BELOW_FLOOR);
+      } else if (this.exclusionViolation(slot, ad.advertiser)) {
+        this.sendLossNotice(bid, this.AUCTION.LOSS.ADVERTISER_EXCLUSIONS);
+      } else {
+        eligible.push(bid);
+      }
+    });
+
+    eligible.sort((a, b) => (b.priority - a.priority) || (b.price - a.price));
+    const [winner, ...losers] = eligible;
+
+    this.emitDebug("auction_end", {
+      slot_id: slot.slot_id,
+      slot: slot.id,
+      slot_key: slot.key,
+      latency: Math.round(performance.now() - startedAt),
+      bids: bids.map(bid => ({ bidder: bid.bidder, price: bid.price, priority: bid.priority })),
+      winner: winner ? { bidder: winner.bidder, price: winner.price } : null,
+    });
+
+    if (!winner) {
+      return null;
+    }
+
+    losers.forEach(bid => this.sendLossNotice(bid, this.AUCTION.LOSS.OUTBID, winner.price));
+
+    // First-price auction: the winner clears at its own bid
+    return {
+      ...winner.ad,
+      auction: { bidder: winner.bidder, loss: 0, mbr: 1 },
+    };
+  }
+
+  sendLossNotice(bid, lossCode, clearingPrice) {
+    if (!bid.lurl || !bid.ad) return;
+
+    const auction = { loss: lossCode };
+    if (clearingPrice !== undefined && bid.price > 0) {
+      // Market bid ratio: clearing price / this bid's price
+      auction.mbr = +(clearingPrice / bid.price).toFixed(4);
+      auction.price = clearingPrice;
+    }
+
+    this.sendImpression(this.replaceAuctionMacros(bid.lurl, bid.ad, auction), { ad: bid.ad, tracker: "loss" });
+  }
+
+  /**
+   * POSTs to bidderUrl with an AbortController timeout, retrying 5xx/429
+   * responses with exponential backoff and jitter, behind the circuit breaker.
+   * The timeout covers reading the body too, so an SSP that sends headers and
+   * then stalls counts as a timeout.
+   * @param {Object} init - fetch options
+   * @returns {Promise<Object>} { status, ok, body, bodyError }: body is the
+   *   parsed JSON, null for 204 No Content and error statuses; bodyError is
+   *   set when the body is not valid JSON
+   */
+  async fetchBidder(init) {
+    for (let attempt = 0; ; attempt++) {
+      // Checked before every attempt so parallel retries stop once the breaker trips
+      if (!this.breakerAllowsRequest()) {
+        this.emitDebug("breaker_rejected", { url: this.bidderUrl, attempt });
+        const error = new Error("Bidder circuit breaker is open");
+        error.name = "CircuitOpenError";
+        throw error;
+      }
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), this.NETWORK.TIMEOUT);
+      let phase = "headers";
+
+      try {
+        const response = await fetch(this.bidderUrl, { ...init, signal: controller.signal });
+        const retryable = response.status === 429 || response.status >= 500;
+
+        if (retryable && attempt < this.NETWORK.MAX_RETRIES) {
+          await this.waitBeforeRetry(attempt, `HTTP ${response.status}`);
+          continue;
+        }
+
+        let body = null;
+        let bodyError = null;
+        if (response.ok && response.status !== 204) {
+          phase = "body";
+          const text = await response.text();
+          try {
+            body = JSON.parse(text);
+          } catch (error) {
+            bodyError = error;
+          }
+        }
+
+        if (retryable) {
+          this.recordBidderFailure(`HTTP ${response.status}`);
+        } else {
+          this.recordBidderSuccess();
+        }
+        return { status: response.status, ok: response.ok, body, bodyError };
+      } catch (error) {
+        if (error.name === "AbortError") {
+          this.emitDebug("bid_timeout", { attempt, timeout: this.NETWORK.TIMEOUT, phase });
+          error = new Error(`Bid request timed out after ${this.NETWORK.TIMEOUT}ms`);
+          error.name = "TimeoutError";
+        }
+        this.recordBidderFailure(error.message);
+        throw error;
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+  }
+
+  waitBeforeRetry(attempt, reason) {
+    const base = this.NETWORK.RETRY_BASE_DELAY * Math.pow(2, attempt);
+    const delay = Math.round(base + Math.random() * base); // Full jitter on top of the base delay
+    this.emitDebug("bid_retry", { attempt: attempt + 1, delay, reason });
+    return new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  breakerAllowsRequest() {
+    if (this.breaker.state !== "open") return true;
+
+    // After the cooldown, let a single trial request through
+    if (Date.now() - this.breaker.openedAt >= this.CIRCUIT_BREAKER.COOLDOWN) {
+      this.breaker.state = "half-open";
+      this.emitDebug("breaker_half_open", {});
+      return true;
+    }
+    return false;
+  }
+
+  recordBidderSuccess() {
+    if (this.breaker.state !== "closed") {
+      this.emitDebug("breaker_closed", {});
+    }
+    this.breaker = { state: "closed", failures: 0, openedAt: 0 };
+  }
+
+  recordBidderFailure(reason) {
+    this.breaker.failures++;
+
+    if (this.breaker.state === "half-open" ||
+        this.breaker.failures >= this.CIRCUIT_BREAKER.FAILURE_THRESHOLD) {
+      if (this.breaker.state !== "open") {
+        this.emitDebug("breaker_open", { failures: this.breaker.failures, reason });
+      }
+      this.breaker.state = "open";
+      this.breaker.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Registers a listener for internal decisions (bid requests and responses,
+   * timeouts, retries, breaker state changes, rendering, viewability and
+   * tracking). Listeners receive { type, detail, time }.
+   * @param {Function} listener
+   */
+  addDebugListener(listener) {
+    if (typeof listener === "function") {
+      this.debugListeners.push(listener);
+    }
+  }
+
+  emitDebug(type, detail) {
+    const event = { type, detail, time: Date.now() };
+    this.debugListeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.warn("Ad debug listener failed:", error);
+      }
+    });
+  }
+
+  /**
+   * Collects what CreativeValidator checks from an Ad. VAST creatives are
+   * checked again once parsed (see renderVideoPlayer) and iframe markup stays
+   * sandboxed, so its own URLs are not known here.
+   */
+  describeCreative(ad) {
+    const { dimensions } = ad;
+    return {
+      adomain: ad.advertiser.adomain,
+      size: dimensions ? { w: dimensions.width, h: dimensions.height } : null,
+      clickUrls: [ad.destination],
+      mediaUrls: [ad.creative.url, ad.creative.vast?.url, ad.creative.native?.image?.url],
+    };
+  }
+
+  /**
+   * Refuses a creative: tells the SSP why (loss notice with the reason code
+   * and a creative_rejected journey event), then continues the fallback chain
+   * @param {Object} rejection - { reason, code, url? }
+   * @param {string} [fallbackReason] - Reason passed on to showFallback
+   */
+  rejectCreative(slotElement, slot, ad, rejection, fallbackReason = "creative_rejected") {
+    this.emitDebug("creative_rejected", { slot_id: slot.slot_id, slot: slot.id, slot_key: slot.key, ...rejection });
+
+    if (ad.trackers.loss) {
+      this.sendImpression(this.replaceAuctionMacros(ad.trackers.loss, ad, { loss: rejection.code }), { ad, tracker: "loss" });
+    }
+    this.sendJourneyEvent(ad, this.EVENTS.CREATIVE_REJECTED, {
+      reason: rejection.reason,
+      loss_code: rejection.code,
+    });
+
+    this.showFallback(slotElement, slot, fallbackReason);
+  }
+
+  // Click-throughs only navigate to URLs the creative policy allows
+  navigate(url) {
+    const problem = this.creativeValidator.checkUrl(url, "click");
+    if (problem) {
+      console.warn("Blocked ad click-through:", problem.reason, url);
+      return;
+    }
+    window.location.href = url;
+  }
+
+  /**
+   * Fires everything an ad reports at one stage: its own trackers, the
+   * OpenRTB win or billing notice and the update-adjourney event
+   * @param {Object} ad - Ad model (see AdNormalizer)
+   * @param {string} stage - "impression", "billable" or "click"; clicks are
+   *   delivered urgently since navigation follows
+   * @param {Object} [metrics] - ViewabilityMeter metrics of a billable impression
+   */
+  trackAdEvent(ad, stage, metrics = null) {
+    const urgent = stage === "click";
+
+    // Only creatives that actually made an impression count against the cap
+    if (stage === "impression") this.frequencyCap.record(ad.advertiser);
+    ad.trackers[stage].forEach(url => this.sendImpression(url, { urgent, ad, tracker: stage }));
+
+    const notice = { impression: "win", billable: "billing" }[stage];
+    if (notice && ad.trackers[notice]) {
+      this.sendImpression(this.replaceAuctionMacros(ad.trackers[notice], ad), { ad, tracker: notice });
+    }
+
+    const event = {
+      impression: this.EVENTS.IMPRESSION,
+      billable: this.EVENTS.BILLED_IMPRESSION,
+      click: this.EVENTS.CLICK,
+    }[stage];
+    this.sendJourneyEvent(ad, event, stage === "billable" ? { viewability: metrics } : { urgent });
+  }
+
+  /**
+   * @param {HTMLElement} slotElement - The ad placeholder
+   * @param {Object} ad - The winning Ad (see AdNormalizer)
+   * @param {Object} slot - Slot definition
+   */
+  renderAd(slotElement, ad, slot) {
+    // Slots auction in parallel, so the winner is checked again against what
+    // the other slots ended up showing
+    const violation = this.exclusionViolation(slot, ad.advertiser);
+    if (violation) {
+      this.rejectCreative(slotElement, slot, ad, {
+        reason: violation,
+        code: this.AUCTION.LOSS.ADVERTISER_EXCLUSIONS,
+      }, "excluded");
+      return;
+    }
+
+    const rejection = this.creativeValidator.validate(this.describeCreative(ad), slot);
+    if (rejection) {
+      this.rejectCreative(slotElement, slot, ad, rejection);
+      return;
+    }
+
+    slot.creative = ad.advertiser;
+
+    // Clear any previous content and its observers
+    this.runSlotCleanups(slotElement);
+    slotElement.innerHTML = "";
+
+    this.sizeSlotToCreative(slot, ad);
+
+    this.emitDebug("ad_render", {
+      slot_id: slot.slot_id,
+      slot: slot.id,
+      slot_key: slot.key,
+      ad_type: ad.type,
+      format: slot.format,
+      creative: ad.creative.kind,
+      price: ad.pricing.price,
+    });
+
+    switch (ad.creative.kind) {
+      case "image":
+        this.renderImageAd(slotElement, ad, slot);
+        break;
+      case "video":
+        this.renderVideoAd(slotElement, ad, slot);
+        break;
+      case "native":
+        this.renderNativeAd(slotElement, ad, slot);
+        break;
+      default:
+        this.renderFrameAd(slotElement, ad, slot);
+    }
+  }
+
+  // A lone image linked to the ad's destination
+  renderImageAd(slotElement, ad, slot) {
+    try {
+      // Create container elements
+      const container = document.createElement("div");
+      container.style.width = "100%";
+      container.style.height = "100%";
+      container.style.overflow = "hidden";
+      container.style.position = "relative";
+
+      const anchor = document.createElement("a");
+      anchor.href = ad.destination || "#";
+      anchor.style.display = "block";
+      anchor.style.width = "100%";
+      anchor.style.height = "100%";
+
+      const img = document.createElement("img");
+      img.id = "ad-img-" + Math.random().toString(36).substring(2, 10);
+      img.src = ad.creative.url;
+      img.alt = ad.creative.alt;
+      img.style.width = "100%";
+      img.style.height = "100%";
+      img.style.objectFit = "contain";
+
+      // Urgent events are handed to sendBeacon/keepalive, so navigation need not wait
+      anchor.addEventListener("click", (e) => {
+        e.preventDefault();
+        this.trackAdEvent(ad, "click");
+        if (ad.destination) {
+          this.navigate(ad.destination);
+        }
+      });
+
+      img.addEventListener("load", () => {
+        this.trackAdEvent(ad, "impression");
+      }, { once: true });
+
+      // Error handling
+      img.addEventListener("error", () => {
+        // Ignore errors from a creative that has already been replaced
+        if (slotElement.contains(img)) {
+          this.showFallback(slotElement, slot, "creative_error");
+        }
+      });
+
+      // Assemble the ad
+      anchor.appendChild(img);
+      container.appendChild(anchor);
+      slotElement.appendChild(container);
+
+      // Set up viewability tracking for billable impressions
+      const stopViewability = this.setupViewabilityTracking(img, (metrics) => {
+        this.trackAdEvent(ad, "billable", metrics);
+        this.scheduleRefresh(slotElement, slot);
+      }, { ad });
+      this.addSlotCleanup(slotElement, stopViewability);
+
+    } catch (error) {
+      console.error("Error rendering image ad:", error);
+      this.showFallback(slotElement, slot, "creative_error");
+    }
+  }
+
+  renderVideoAd(slotElement, ad, slot) {
+    if (ad.creative.vast) {
+      this.renderVastAd(slotElement, ad, slot);
+      return;
+    }
+
+    // Plain video file: play it through the same player without VAST tracking
+    const vastAd = VastParser.emptyAd();
+    vastAd.clickThrough = ad.destination;
+    vastAd.mediaFiles = [{
+      url: ad.creative.url,
+      type: /\.webm(\?|$)/i.test(ad.creative.url) ? "video/webm" : "video/mp4",
+      codec: "",
+      delivery: "progressive",
+      width: slot.width,
+      height: slot.height,
+      bitrate: 0,
+    }];
+    this.renderVideoPlayer(slotElement, vastAd, slot, ad);
+  }
+
+  /**
+   * Resolves a VAST document (following wrappers) and plays it in the slot
+   * @param {HTMLElement} slotElement - The ad placeholder
+   * @param {Object} ad - Ad model with creative.vast ({ xml } or { url })
+   * @param {Object} slot - Slot definition
+   */
+  async renderVastAd(slotElement, ad, slot) {
+    const generation = slot.generation;
+    let vastAd;
+    try {
+      vastAd = await this.vastParser.load(ad.creative.vast);
+    } catch (error) {
+      console.error("VAST error:", error);
+      this.fireVastUrls(error.errorUrls || [], { errorCode: error.vastCode || 900, ad, tracker: "vast_error" });
+      if (!this.isStale(slotElement, slot, generation)) {
+        this.showFallback(slotElement, slot, "creative_error");
+      }
+      return;
+    }
+
+    // Slot was destroyed, resized or refreshed while wrappers were resolving
+    if (this.isStale(slotElement, slot, generation)) return;
+
+    this.renderVideoPlayer(slotElement, vastAd, slot, ad);
+  }
+
+  /**
+   * Picks the progressive MediaFile this browser can play that is closest
+   * to the slot size, preferring higher bitrate on ties
+   * @param {Array<Object>} mediaFiles - Parsed MediaFile entries
+   * @param {Object} slot - Slot definition
+   * @returns {Object|null}
+   */
+  selectMediaFile(mediaFiles, slot) {
+    const probe = document.createElement("video");
+    const slotArea = slot.width * slot.height;
+
+    const playable = mediaFiles.filter(mediaFile => {
+      if (mediaFile.delivery !== "progressive") return false;
+      const type = mediaFile.codec ? `${mediaFile.type}; codecs="${mediaFile.codec}"` : mediaFile.type;
+      return !type || probe.canPlayType(type) !== "";
+    });
+
+    playable.sort((a, b) => {
+      const areaDiff = Math.abs(a.width * a.height - slotArea) - Math.abs(b.width * b.height - slotArea);
+      return areaDiff || b.bitrate - a.bitrate;
+    });
+
+    return playable[0] || null;
+  }
+
+  renderVideoPlayer(slotElement, vastAd, slot, ad) {
+    const mediaFile = this.selectMediaFile(vastAd.mediaFiles, slot);
+    if (!mediaFile) {
+      this.fireVastUrls(vastAd.errors, { errorCode: 403, ad, tracker: "vast_error" });
+      this.showFallback(slotElement, slot, "creative_error");
+      return;
+    }
+
+    const rejection = this.creativeValidator.validate({
+      clickUrls: [vastAd.clickThrough],
+      mediaUrls: [mediaFile.url],
+    }, slot);
+    if (rejection) {
+      this.rejectCreative(slotElement, slot, ad, rejection);
+      return;
+    }
+
+    this.runSlotCleanups(slotElement);
+    slotElement.innerHTML = "";
+
+    const container = document.createElement("div");
+    container.style.width = "100%";
+    container.style.height = "100%";
+    container.style.overflow = "hidden";
+    container.style.position = "relative";
+    container.style.background = "#000";
+
+    const video = document.createElement("video");
+    video.id = "ad-video-" + Math.random().toString(36).substring(2, 10);
+    video.src = mediaFile.url;
+    video.controls = false;
+    video.muted = true;
+    video.playsInline = true;
+    video.style.width = "100%";
+    video.style.height = "100%";
+    video.style.objectFit = "contain";
+    video.style.cursor = vastAd.clickThrough ? "pointer" : "default";
+
+    const fired = new Set();
+    const track = (event) => {
+      if (fired.has(event)) return;
+      fired.add(event);
+      this.fireVastUrls(vastAd.tracking[event] || [], { adPlayhead: video.currentTime, ad, tracker: `vast_${event}` });
+    };
+    // mute/unmute and pause/resume can repeat, so they bypass the once-only set
+    const trackRepeatable = (event) => {
+      this.fireVastUrls(vastAd.tracking[event] || [], { adPlayhead: video.currentTime, ad, tracker: `vast_${event}`, repeatable: true });
+    };
+
+    let started = false;
+    let paused = false;
+    let lastMuted = video.muted;
+
+    video.addEventListener("playing", () => {
+      if (!started) {
+        started = true;
+        this.fireVastUrls(vastAd.impressions, { adPlayhead: 0, ad, tracker: "vast_impression" });
+        track("creativeView");
+        track("start");
+        this.trackAdEvent(ad, "impression");
+      } else if (paused) {
+        paused = false;
+        trackRepeatable("resume");
+      }
+    });
+
+    video.addEventListener("timeupdate", () => {
+      const duration = video.duration || vastAd.duration;
+      if (!duration || !started) return;
+
+      const progress = video.currentTime / duration;
+      if (progress >= 0.25) track("firstQuartile");
+      if (progress >= 0.5) track("midpoint");
+      if (progress >= 0.75) track("thirdQuartile");
+
+      if (skipButton && vastAd.skipOffset !== null) {
+        const remaining = Math.ceil(vastAd.skipOffset - video.currentTime);
+        skipButton.disabled = remaining > 0;
+        skipButton.textContent = remaining > 0 ? `Skip in ${remaining}` : "Skip ad";
+      }
+    });
+
+    video.addEventListener("pause", () => {
+      if (!started || video.ended || fired.has("skip")) return;
+      paused = true;
+      trackRepeatable("pause");
+    });
+
+    video.addEventListener("ended", () => {
+      track("complete");
+    });
+
+    video.addEventListener("volumechange", () => {
+      if (video.muted === lastMuted) return;
+      lastMuted = video.muted;
+      trackRepeatable(video.muted ? "mute" : "unmute");
+      muteButton.textContent = video.muted ? "Unmute" : "Mute";
+    });
+
+    video.addEventListener("error", () => {
+      const code = video.error?.code === 4 ? 403 : video.error?.code === 2 ? 401 : 405;
+      this.fireVastUrls(vastAd.errors, { errorCode: code, adPlayhead: video.currentTime, ad, tracker: "vast_error" });
+      if (slotElement.contains(video)) {
+        this.showFallback(slotElement, slot, "creative_error");
+      }
+    });
+
+    video.addEventListener("click", () => {
+      if (!vastAd.clickThrough) return;
+      this.fireVastUrls(vastAd.clickTracking, { adPlayhead: video.currentTime, urgent: true, ad, tracker: "vast_click" });
+      this.trackAdEvent(ad, "click");
+      this.navigate(vastAd.clickThrough);
+    });
+
+    const controlStyle = (button) => {
+      button.type = "button";
+      button.style.position = "absolute";
+      button.style.bottom = "6px";
+      button.style.padding = "2px 8px";
+      button.style.fontSize = "11px";
+      button.style.color = "#fff";
+      button.style.background = "rgba(0,0,0,0.6)";
+      button.style.border = "1px solid rgba(255,255,255,0.6)";
+      button.style.borderRadius = "3px";
+      button.style.cursor = "pointer";
+      return button;
+    };
+
+    const muteButton = controlStyle(document.createElement("button"));
+    muteButton.textContent = "Unmute";
+    muteButton.style.left = "6px";
+    muteButton.addEventListener("click", () => {
+      video.muted = !video.muted;
+    });
+
+    let skipButton = null;
+    if (vastAd.skipOffset !== null) {
+      skipButton = controlStyle(document.createElement("button"));
+      skipButton.style.right = "6px";
+      skipButton.disabled = true;
+      skipButton.textContent = `Skip in ${Math.ceil(vastAd.skipOffset)}`;
+      skipButton.addEventListener("click", () => {
+        if (video.currentTime < vastAd.skipOffset) return;
+        track("skip");
+        video.pause();
+        this.collapseSlot(slotElement);
+      });
+    }
+
+    container.appendChild(video);
+    container.appendChild(muteButton);
+    if (skipButton) container.appendChild(skipButton);
+    slotElement.appendChild(container);
+
+    // Video ads are billable at 50% visible for 2 continuous seconds of play
+    const stopViewability = this.setupViewabilityTracking(video, (metrics) => {
+      this.trackAdEvent(ad, "billable", metrics);
+      this.scheduleRefresh(slotElement, slot);
+    }, { ad });
+
+    this.addSlotCleanup(slotElement, stopViewability);
+    this.addSlotCleanup(slotElement, this.playWhenInView(video));
+    this.addSlotCleanup(slotElement, () => video.pause());
+  }
+
+  /**
+   * Starts a muted video once half of it enters the viewport, matching the
+   * playbackmethod 6 declared in the bid request
+   * @returns {Function} Stops watching the viewport
+   */
+  playWhenInView(video) {
+    const play = () => {
+      video.play()?.catch(error => console.warn("Video ad playback blocked:", error));
+    };
+
+    if (typeof IntersectionObserver === "undefined") {
+      play();
+      return () => {};
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (!entries.some(entry => entry.isIntersecting && entry.intersectionRatio >= 0.5)) return;
+      observer.disconnect();
+      play();
+    }, { threshold: 0.5 });
+    observer.observe(video);
+    return () => observer.disconnect();
+  }
+
+  /**
+   * @param {Array<string>} urls - VAST tracking URLs
+   * @param {Object} [options] - { errorCode, adPlayhead } for replaceVastMacros,
+   *   and { urgent, ad, tracker, repeatable } for sendImpression
+   */
+  fireVastUrls(urls, options = {}) {
+    const { urgent, ad, tracker, repeatable } = options;
+    urls.forEach(url => this.sendImpression(this.replaceVastMacros(url, options), {
+      urgent,
+      ad,
+      tracker,
+      repeatable,
+      // Keyed by the URL before its macros, which change on every call
+      dedupeId: `${tracker}:${url}`,
+    }));
+  }
+
+  /**
+   * Replaces the VAST 4 macros we can supply: [ERRORCODE], [TIMESTAMP],
+   * [CACHEBUSTING] and [ADPLAYHEAD]
+   */
+  replaceVastMacros(url, { errorCode, adPlayhead } = {}) {
+    const formatPlayhead = (seconds) => {
+      const date = new Date(Math.max(0, seconds || 0) * 1000);
+      return date.toISOString().substring(11, 23); // HH:MM:SS.mmm
+    };
+
+    const macros = {
+      "[ERRORCODE]": errorCode !== undefined ? String(errorCode) : "",
+      "[TIMESTAMP]": new Date().toISOString(),
+      "[CACHEBUSTING]": String(Math.floor(10000000 + Math.random() * 90000000)),
+      "[ADPLAYHEAD]": adPlayhead !== undefined ? formatPlayhead(adPlayhead) : "",
+    };
+
+    return Object.entries(macros).reduce((acc, [macro, value]) => {
+      return acc.split(macro).join(encodeURIComponent(value));
+    }, url);
+  }
+
+  /**
+   * Builds the OpenRTB Native 1.2 request for an in-feed native slot
+   * @param {Object} slot - Slot definition
+   * @returns {Object} The imp.native object ({ ver, request })
+   */
+  buildNativeRequest(slot) {
+    const { ASSETS, DATA_TYPES } = this.NATIVE;
+
+    const request = {
+      ver: this.NATIVE.VER,
+      context: 1, // Content-centric
+      plcmttype: 1, // In the feed of content
+      plcmtcnt: 1,
+      assets: [
+        { id: ASSETS.TITLE, required: 1, title: { len: 90 } },
+        { id: ASSETS.IMAGE, required: 1, img: { type: 3, wmin: slot.width || 300, hmin: slot.height || 150 } },
+        { id: ASSETS.SPONSORED_BY, required: 1, data: { type: DATA_TYPES.SPONSORED } },
+        { id: ASSETS.CTA, required: 0, data: { type: DATA_TYPES.CTA_TEXT } },
+      ],
+      // Image-pixel impression and viewable trackers only; JS trackers are not run
+      eventtrackers: [
+        { event: 1, methods: [1] },
+        { event: 2, methods: [1] },
+      ],
+    };
+
+    return {
+      ver: this.NATIVE.VER,
+      request: JSON.stringify(request),
+    };
+  }
+
+  /**
+   * Renders a native ad into the publisher's <template>, referenced from the
+   * placeholder with data-native-template="<template id>". Template elements
+   * marked data-native-asset="title|image|sponsoredBy|cta" are filled in and
+   * elements marked data-native-link become the click-through.
+   * @param {HTMLElement} slotElement - The ad placeholder
+   * @param {Object} ad - Ad model with creative.native
+   * @param {Object} slot - Slot definition
+   */
+  renderNativeAd(slotElement, ad, slot) {
+    const template = document.getElementById(slotElement.dataset.nativeTemplate || "");
+    if (!(template instanceof HTMLTemplateElement)) {
+      console.error("Native ad template not found:", slotElement.dataset.nativeTemplate);
+      this.showFallback(slotElement, slot, "creative_error");
+      return;
+    }
+
+    const assets = ad.creative.native;
+    const fragment = template.content.cloneNode(true);
+
+    fragment.querySelectorAll("[data-native-asset]").forEach(element => {
+      const asset = element.dataset.nativeAsset;
+
+      if (asset === "image") {
+        if (assets.image) {
+          element.src = assets.image.url;
+        } else {
+          element.remove();
+        }
+        return;
+      }
+
+      // Missing optional assets keep the template's default text, or are dropped if it has none
+      const value = assets[asset];
+      if (value) {
+        element.textContent = value;
+      } else if (!element.textContent.trim()) {
+        element.remove();
+      }
+    });
+
+    fragment.querySelectorAll("[data-native-link]").forEach(element => {
+      if (element.tagName === "A") {
+        element.href = ad.destination;
+        element.rel = "sponsored noopener";
+      }
+
+      element.addEventListener("click", (e) => {
+        e.preventDefault();
+        this.trackAdEvent(ad, "click");
+        this.navigate(ad.destination);
+      });
+    });
+
+    const container = document.createElement("div");
+    container.className = "native-ad";
+    container.appendChild(fragment);
+    slotElement.appendChild(container);
+
+    // The ad is on the page as soon as the template is filled
+    this.trackAdEvent(ad, "impression");
+
+    const stopViewability = this.setupViewabilityTracking(container, (metrics) => {
+      this.trackAdEvent(ad, "billable", metrics);
+      this.scheduleRefresh(slotElement, slot);
+    }, { ad });
+    this.addSlotCleanup(slotElement, stopViewability);
+  }
+
+  /**
+   * Renders arbitrary adm markup into a sandboxed, size-locked iframe.
+   * The creative talks to the page only through the postMessage bridge
+   * (see safeFrameBridge): clicks, resize/expand requests and geometry updates.
+   * @param {HTMLElement} slotElement - The ad placeholder
+   * @param {Object} ad - Ad model with creative.markup
+   * @param {Object} slot - Slot definition
+   */
+  renderFrameAd(slotElement, ad, slot) {
+    const token = Math.random().toString(36).substring(2, 12);
+
+    const container = document.createElement("div");
+    container.style.width = "100%";
+    container.style.height = "100%";
+    container.style.position = "relative";
+
+    const iframe = document.createElement("iframe");
+    iframe.id = "ad-frame-" + token;
+    iframe.title = "Advertisement";
+    // No allow-same-origin: the creative runs in an opaque origin and cannot
+    // touch the page or navigate the top window
+    iframe.setAttribute("sandbox", "allow-scripts allow-popups allow-popups-to-escape-sandbox");
+    iframe.setAttribute("scrolling", "no");
+    iframe.width = String(slot.width);
+    iframe.height = String(slot.height);
+    iframe.style.border = "0";
+    iframe.style.display = "block";
+    iframe.style.position = "absolute";
+    iframe.style.top = "0";
+    iframe.style.left = "0";
+    iframe.style.width = `${slot.width}px`;
+    iframe.style.height = `${slot.height}px`;
+    iframe.srcdoc = this.buildFrameDocument(ad.creative.markup, token);
+
+    const postToFrame = (message) => {
+      // Opaque-origin frames can only be addressed with "*"; the token lets
+      // the creative ignore messages that are not from its host
+      iframe.contentWindow?.postMessage({ ...message, sfToken: token }, "*");
+    };
+
+    const onMessage = (event) => {
+      if (event.source !== iframe.contentWindow || event.data?.sfToken !== token) return;
+
+      const message = event.data;
+      switch (message.type) {
+        case "click":
+          this.trackAdEvent(ad, "click");
+          if (message.url) {
+            this.navigate(message.url);
+          }
+          break;
+        case "resize": {
+          // Size-locked: the creative may shrink inside the slot but never grow it
+          const width = Math.min(Number(message.width) || slot.width, slot.width);
+          const height = Math.min(Number(message.height) || slot.height, slot.height);
+          iframe.style.width = `${width}px`;
+          iframe.style.height = `${height}px`;
+          postToFrame({ type: "status", state: "resized", width, height });
+          break;
+        }
+        case "expand": {
+          // Expansion overlays the page instead of pushing content around
+          const clamp = (value) => Math.max(0, Math.min(Number(value) || 0, this.SAFEFRAME.MAX_EXPAND));
+          const top = clamp(message.top);
+          const right = clamp(message.right);
+          const bottom = clamp(message.bottom);
+          const left = clamp(message.left);
+          iframe.style.top = `${-top}px`;
+          iframe.style.left = `${-left}px`;
+          iframe.style.width = `${slot.width + left + right}px`;
+          iframe.style.height = `${slot.height + top + bottom}px`;
+          iframe.style.zIndex = "1000";
+          postToFrame({ type: "status", state: "expanded", top, right, bottom, left });
+          break;
+        }
+        case "collapse":
+          iframe.style.top = "0";
+          iframe.style.left = "0";
+          iframe.style.width = `${slot.width}px`;
+          iframe.style.height = `${slot.height}px`;
+          iframe.style.zIndex = "";
+          postToFrame({ type: "status", state: "collapsed" });
+          break;
+      }
+    };
+    window.addEventListener("message", onMessage);
+
+    // Geometry updates let the creative measure its own viewability
+    const geometryObserver = new IntersectionObserver((entries) => {
+      const entry = entries[entries.length - 1];
+      postToFrame({
+        type: "geometry",
+        ratio: entry.intersectionRatio,
+        rect: {
+          width: entry.boundingClientRect.width,
+          height: entry.boundingClientRect.height,
+          top: entry.boundingClientRect.top,
+          left: entry.boundingClientRect.left,
+        },
+        viewport: { width: window.innerWidth, height: window.innerHeight },
+      });
+    }, {
+      threshold: [0, 0.25, 0.5, 0.75, 1]
+    });
+
+    iframe.addEventListener("load", () => {
+      geometryObserver.observe(iframe);
+      this.trackAdEvent(ad, "impression");
+    }, { once: true });
+
+    container.appendChild(iframe);
+    slotElement.appendChild(container);
+
+    const stopViewability = this.setupViewabilityTracking(iframe, (metrics) => {
+      this.trackAdEvent(ad, "billable", metrics);
+      this.scheduleRefresh(slotElement, slot);
+    }, { ad });
+
+    this.addSlotCleanup(slotElement, stopViewability);
+    this.addSlotCleanup(slotElement, () => {
+      window.removeEventListener("message", onMessage);
+      geometryObserver.disconnect();
+    });
+  }
+
+  // Wraps creative markup in a minimal document with the bridge script first
+  buildFrameDocument(adm, token) {
+    return "<!DOCTYPE html><html><head><meta charset=\"utf-8\">" +
+      "<style>html,body{margin:0;padding:0;overflow:hidden;}</style>" +
+      `<script>(${safeFrameBridge.toString()})(${JSON.stringify(token)});<\/script>` +
+      `</head><body>${adm}</body></html>`;
+  }
+
+  /**
+   * Sets up viewability tracking for an ad element (see ViewabilityMeter)
+   * @param {HTMLElement} element - The ad element to track (img, video, iframe or native container)
+   * @param {Function} callback - Called with the metrics once viewability criteria are met
+   * @param {Object} [options] - { criteria, ad }. Criteria default to
+   *   this.VIDEO_VIEWABILITY for video elements and this.VIEWABILITY otherwise;
+   *   with an ad the final metrics are reported to update-adjourney
+   * @returns {Function} Stops tracking and reports the final metrics
+   */
+  setupViewabilityTracking(element, callback, options = {}) {
+    // Only setup once
+    if (element._viewabilityTracking) return () => {};
+    element._viewabilityTracking = true;
+
+    const criteria = options.criteria ||
+      (element instanceof HTMLVideoElement ? this.VIDEO_VIEWABILITY : this.VIEWABILITY);
 
- // console.log("Ad System Config:", window.adSystemConfig);
-}
+    const slotElement = element.closest(".ad-placeholder");
+    const slotId = slotElement?.id || null;
+    const slotKey = this.adSlots.get(slotElement)?.key || null;
 
-window.addEventListener("DOMContentLoaded", initializeAdSystemConfig);
+    const meter = new ViewabilityMeter(element, criteria, {
+      onViewable: (metrics) => {
+        this.emitDebug("viewable", { slot: slotId, slot_key: slotKey, metrics });
+        callback(metrics);
+      },
+      onEnd: (metrics, unloading) => {
+        this.emitDebug("viewability_end", { slot: slotId, slot_key: slotKey, metrics });
+        if (options.ad) {
+          this.sendJourneyEvent(options.ad, this.EVENTS.VIEWABILITY_MEASURED, {
+            viewability: metrics,
+            urgent: unloading,
+          });
+        }
+      },
+    });
+    meter.start();
 
-class AdSystem {
-  constructor() {
-    this.bidderUrl = "https://dev.ssp.verismart.ai/api/ssp-load-ads";
-    this.updateJourneyUrl = "https://dev.ssp.verismart.ai/api/update-adjourney";
-    this.adSlots = [];
-    this.config = null;
-    this.EVENTS = {
-      IMPRESSION: "impression_at",
-      BILLED_IMPRESSION: "billable_impression_at",
-      CLICK: "clicked_at",
-    };
-    
-    // Viewability criteria for billable impressions
-    this.VIEWABILITY = {
-      THRESHOLD: 0.5, // 50% visible
-      DURATION: 1000, // 1 second (in milliseconds)
-    };
+    return () => meter.stop();
   }
 
-  async initialize() {
-    // Wait for configuration with exponential backoff
-    let attempt = 0;
-    const maxRetries = 5;
-    const baseDelay = 500; // Start with shorter delay 
-    
-    while (typeof window.adSystemConfig === "undefined" && attempt < maxRetries) {
-      const delay = baseDelay * Math.pow(2, attempt); // Exponential backoff
-      await new Promise(resolve => setTimeout(resolve, delay));
-      attempt++;
-    }
-
-    if (typeof window.adSystemConfig === "undefined") {
-      console.error("Ad System Configuration not found after retries.");
-      return;
+  addSlotCleanup(slotElement, cleanup) {
+    if (!this.slotCleanups.has(slotElement)) {
+      this.slotCleanups.set(slotElement, []);
     }
+    this.slotCleanups.get(slotElement).push(cleanup);
+  }
 
-    this.config = window.adSystemConfig;
-    this.adSlots = document.querySelectorAll(".ad-placeholder");
+  runSlotCleanups(slotElement) {
+    const cleanups = this.slotCleanups.get(slotElement) || [];
+    this.slotCleanups.delete(slotElement);
+    cleanups.forEach(cleanup => cleanup());
+  }
 
-    // Process all slots in parallel
-    const slotPromises = Array.from(this.adSlots).map(slotElement => {
-      const width = parseInt(slotElement.dataset.width, 10) || 0;
-      const height = parseInt(slotElement.dataset.height, 10) || 0;
-      const slot_id = parseInt(slotElement.dataset.slot_id, 10) || 0;
+  /**
+   * Schedules a refresh of the slot after its data-refresh interval.
+   * Called only once a billable impression has fired for the current creative.
+   * @param {HTMLElement} slotElement - The ad placeholder
+   * @param {Object} slot - Slot definition ({ slot_id, width, height, refresh })
+   */
+  scheduleRefresh(slotElement, slot) {
+    if (!slot?.refresh) return;
 
-      if (width && height && slot_id) {
-        slotElement.style.width = `${width}px`;
-        slotElement.style.height = `${height}px`;
-        slotElement.innerHTML = `<div style="width:100%;height:100%;display:flex;align-items:center;justify-content:center;background:#f0f0f0;color:#666;font-size:12px;">Loading ad...</div>`;
-        
-        return this.loadAdForSlot(slotElement, { slot_id, width, height });
-      } else {
-        this.showError(slotElement, "Ad size & slot not defined.");
-        return Promise.resolve();
-      }
+    this.cancelRefresh(slotElement);
+    this.refreshTimers.set(slotElement, {
+      slot,
+      timer: null,
+      startedAt: 0,
+      remaining: slot.refresh * 1000,
     });
 
-    try {
-      await Promise.allSettled(slotPromises);
-    } catch (error) {
-      console.error("Error initializing ad system:", error);
+    // Hidden tabs start paused and resume on visibilitychange
+    if (!document.hidden) {
+      this.startRefreshTimer(slotElement);
     }
   }
 
-  async loadAdForSlot(slotElement, slot) {
-    try {
-      const bidResponse = await this.makeBidRequest(slot);
-      this.renderAd(slotElement, bidResponse, slot);
-    } catch (error) {
-      this.showError(slotElement, "Failed to load advertisement.");
-      console.error(`Ad Error [${slot.width}x${slot.height}]:`, error);
-    }
+  startRefreshTimer(slotElement) {
+    const entry = this.refreshTimers.get(slotElement);
+    if (!entry || entry.timer) return;
+
+    entry.startedAt = Date.now();
+    entry.timer = setTimeout(() => {
+      this.refreshTimers.delete(slotElement);
+
+      // Slot was removed from the page while waiting
+      if (!slotElement.isConnected) return;
+
+      this.loadAdForSlot(slotElement, entry.slot);
+    }, entry.remaining);
   }
 
-  async makeBidRequest(slot) {
-    const bidRequest = {
-      slot_id: slot.slot_id,
-      device: {
-        ua: navigator.userAgent,
-        geo: this.config.geo,
-        ipv6: this.config.ipv6,
-        devicetype: this.config.deviceType,
-        make: this.config.deviceMake,
-        model: this.config.deviceModel,
-        os: this.config.deviceOs,
-        osv: this.config.deviceOsVersion,
-        js: 1,
-        carrier: this.config.deviceCarrier,
-      },
-    };
+  pauseRefreshTimer(slotElement) {
+    const entry = this.refreshTimers.get(slotElement);
+    if (!entry || !entry.timer) return;
 
-    try {
-      const response = await fetch(this.bidderUrl, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(bidRequest),
-        timeout: 3000
-      });
+    clearTimeout(entry.timer);
+    entry.timer = null;
+    entry.remaining = Math.max(0, entry.remaining - (Date.now() - entry.startedAt));
+  }
 
-      if (!response.ok) throw new Error(`HTTP Error ${response.status}`);
-      return response.json();
-    } catch (error) {
-      console.error("Bid request failed:", error);
-      throw error;
-    }
+  cancelRefresh(slotElement) {
+    const entry = this.refreshTimers.get(slotElement);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    this.refreshTimers.delete(slotElement);
   }
 
-  renderAd(slotElement, bidResponse, slot) {
-    // Clear any previous content
-    slotElement.innerHTML = "";
-    
-    // Determine ad type and render accordingly
-    const adType = bidResponse?.ad_type;
-    
-    if (adType === "brand") {
-      this.renderBrandAd(slotElement, bidResponse, slot);
-    } else if (adType === "ortb") {
-      this.renderOrtbAd(slotElement, bidResponse, slot);
-    } else {
-      this.showError(slotElement, "Unknown ad type received.");
+  // Pause refresh countdowns while the tab is hidden
+  handleVisibilityChange() {
+    this.refreshTimers.forEach((entry, slotElement) => {
+      if (document.hidden) {
+        this.pauseRefreshTimer(slotElement);
+      } else {
+        this.startRefreshTimer(slotElement);
+      }
+    });
+  }
+
+  /**
+   * Queues an update-adjourney event for the bid
+   * @param {Object} ad - Ad model; ads without a journeyId (brand ads) report nothing
+   * @param {string} event - One of this.EVENTS
+   * @param {Object} [options] - { urgent }: deliver immediately, e.g. before navigating;
+   *   { viewability }: viewability metrics for the impression; { scope }: what
+   *   else tells events of this type apart, beyond the bid; other fields are sent as is
+   */
+  sendJourneyEvent(ad, event, options = {}) {
+    if (!ad?.journeyId) return;
+
+    if (!this.consent.allowsTracking()) {
+      this.emitDebug("tracker_blocked", { url: this.updateJourneyUrl, event, reason: "consent" });
+      return;
     }
+
+    // One event per bid (and scope): a batch response shares its id across its slots' bids
+    const { scope, ...fields } = options;
+    const dedupeId = [ad.ids.bid || ad.ids.imp, scope].filter(Boolean).join(":");
+    this.eventQueue.trackJourney(ad.journeyId, event, { ...fields, dedupeId });
   }
 
-  renderBrandAd(slotElement, ad, slot) {
-    if (!ad || !ad.full_file_path) {
-      this.showError(slotElement, "Invalid brand ad creative.");
+  /**
+   * Queues a tracker pixel (impression, win/billing notice, click tracker)
+   * @param {string} url - Tracker URL
+   * @param {Object} [options] - { urgent }; { ad, tracker }: the Ad the tracker
+   *   belongs to and which of its trackers it is (e.g. "impression", "win",
+   *   "vast_start"), to fire it once per bid and report it to the SSP if it is
+   *   dropped; { dedupeId }: tells the tracker apart within the bid, defaults
+   *   to tracker and URL; { repeatable }: fire every time (VAST pause, mute...)
+   */
+  sendImpression(url, options = {}) {
+    if (!url) return;
+
+    // Without measurement consent (TCF purpose 7) trackers are not fired at all
+    if (!this.consent.allowsTracking()) {
+      this.emitDebug("tracker_blocked", { url, reason: "consent" });
       return;
     }
-  
-    try {
-      // Create container elements
-      const container = document.createElement("div");
-      container.style.width = "100%";
-      container.style.height = "100%";
-      container.style.overflow = "hidden";
-      container.style.position = "relative";
-      
-      const anchor = document.createElement("a");
-      anchor.href = "#"; // Temporary href
-      anchor.style.display = "block";
-      anchor.style.width = "100%";
-      anchor.style.height = "100%";
-      
-      // Determine if we should use video or image based on creative_type
-      const isVideo = ad.creative_type === "video";
-      const mediaElement = isVideo ? document.createElement("video") : document.createElement("img");
-      
-      // Common properties
-      mediaElement.src = ad.full_file_path;
-      mediaElement.style.width = "100%";
-      mediaElement.style.height = "100%";
-      mediaElement.style.objectFit = "contain";
-      
-      // Generate unique ID for this ad
-      const adId = "ad-" + Math.random().toString(36).substring(2, 10);
-      mediaElement.id = adId;
-      
-      // Video-specific properties
-      if (isVideo) {
-        mediaElement.controls = false;
-        mediaElement.autoplay = true;
-        mediaElement.muted = true;
-        mediaElement.playsInline = true;
-        mediaElement.loop = true;
-      } else {
-        mediaElement.alt = ad.brand_name || "Advertisement";
-      }
-      
-      // Set up regular impression tracking (fires on load)
-      const trackImpression = () => {
-        if (ad.tracking?.impression_url) {
-          this.sendImpression(ad.tracking.impression_url);
-        }
-      };
-      
-      // Set up event listeners based on media type
-      if (isVideo) {
-        mediaElement.addEventListener("loadeddata", trackImpression);
-      } else {
-        mediaElement.addEventListener("load", trackImpression);
-      }
-      
-      // Error handling
-      mediaElement.addEventListener("error", () => {
-        this.showError(slotElement, `${isVideo ? "Video" : "Image"} failed to load.`);
-      });
-      
-      // Set up click tracking
-      anchor.addEventListener("click", (e) => {
-        e.preventDefault();
-        console.log(ad.tracking.destination_url);
-        // Track click event
-        if (ad.tracking?.click_url) {
-          this.sendImpression(ad.tracking.click_url).then(() => {
-            // After click tracking, redirect to destination URL
-            const destinationUrl = ad.tracking.destination_url || 
-                                   ad.landing_page_url || 
-                                   ad.click_url || 
-                                   "#";
-            
-            // Small delay to ensure tracking completes
-            setTimeout(() => {
-              window.location.href = destinationUrl;
-            }, 100);
-          }).catch(error => {
-            console.error("Click tracking failed, but still redirecting:", error);
-            
-            // Fallback redirect in case tracking fails
-            const destinationUrl = ad.tracking.destination_url || 
-                                   ad.landing_page_url || 
-                                   ad.click_url || 
-                                   "#";
-            
-            window.location.href = destinationUrl;
-          });
-        } else {
-          // If no click tracking URL, redirect directly
-          const destinationUrl = ad.tracking.destination_url || 
-                                 ad.landing_page_url || 
-                                 ad.click_url || 
-                                 "#";
-          
-          window.location.href = destinationUrl;
-        }
-      });
-      
-      // Assemble the ad
-      anchor.appendChild(mediaElement);
-      container.appendChild(anchor);
-      slotElement.appendChild(container);
-      
-      // Set up viewability tracking for billable impressions
-      this.setupViewabilityTracking(mediaElement, () => {
-        // Send billable impression when viewability criteria are met
-        if (ad.tracking?.billable_impression_url) {
-          this.sendImpression(ad.tracking.billable_impression_url);
-        }
+
+    // Trackers must be HTTPS. An insecure one is dropped and reported to the
+    // SSP, which would otherwise never see that notice; the creative still renders.
+    const { ad, tracker, dedupeId = `${tracker}:${url}`, repeatable = false, ...pixelOptions } = options;
+    const problem = this.creativeValidator.checkUrl(url, "tracker");
+    if (problem) {
+      this.emitDebug("tracker_blocked", { url, reason: problem.reason, tracker });
+      this.sendJourneyEvent(ad, this.EVENTS.TRACKER_DROPPED, {
+        reason: problem.reason,
+        reason_code: problem.code,
+        tracker,
+        url,
+        scope: dedupeId,
       });
-      
-    } catch (error) {
-      console.error("Error rendering brand ad:", error);
-      this.showError(slotElement, "Failed to render advertisement.");
+      return;
     }
+
+    // Once per bid, so a retried or re-adopted ad is not counted or billed twice
+    const bidId = ad?.ids?.bid || ad?.ids?.imp;
+    if (bidId && tracker && !repeatable) {
+      pixelOptions.dedupeKey = `${ad.journeyId}:${bidId}:${dedupeId}`;
+    }
+
+    this.eventQueue.trackPixel(this.consent.applyMacros(url), pixelOptions);
   }
 
-  renderOrtbAd(slotElement, bidResponse, slot) {
-    const bid = bidResponse?.seatbid?.[0]?.bid?.[0];
-    if (!bid) {
-      this.showError(slotElement, "No valid bid received.");
-      return;
+  /**
+   * Fills OpenRTB auction macros in a win, billing or loss notice URL
+   * @param {string} url - nurl, burl or lurl
+   * @param {Object} ad - Ad model the URL belongs to
+   * @param {Object} [auction] - Outcome: { loss, mbr, price }; defaults to ad.auction
+   * @returns {string}
+   */
+  replaceAuctionMacros(url, ad, auction = ad?.auction || {}) {
+    if (!url || ad?.type !== "ortb") return url;
+
+    const { ids, pricing } = ad;
+    const macros = {
+      "${AUCTION_ID}": ids.auction || "",
+      "${AUCTION_BID_ID}": ids.bid || "",
+      "${AUCTION_IMP_ID}": ids.imp || "",
+      "${AUCTION_SEAT_ID}": ids.seat || "",
+      "${AUCTION_PRICE}": (auction.price ?? pricing.price).toString(),
+      "${AUCTION_CURRENCY}": pricing.currency,
+      "${AUCTION_MBR}": auction.mbr?.toString() || "",
+      "${AUCTION_AD_ID}": ids.ad || "",
+      "${AUCTION_LOSS}": auction.loss?.toString() || ""
+    };
+    
+    return Object.entries(macros).reduce((acc, [macro, value]) => {
+      return acc.replace(new RegExp(macro.replace(/\$/g, "\\$"), "g"), value);
+    }, url);
+  }
+
+  /**
+   * Moves the slot down its fallback chain (slot.fallbackChain) after the
+   * current ad failed, serving the first level that has something to show
+   * @param {HTMLElement} slotElement - The ad placeholder
+   * @param {Object} slot - Slot definition
+   * @param {string} reason - no_bid, bid_error, breaker_open, creative_error,
+   *   creative_rejected or excluded
+   */
+  async showFallback(slotElement, slot, reason) {
+    // Slot was destroyed or refreshed since the failing ad was requested
+    if (!slot || this.adSlots.get(slotElement) !== slot) return;
+    const generation = slot.generation;
+
+    this.runSlotCleanups(slotElement);
+    slotElement.innerHTML = "";
+    slot.creative = null;
+
+    const state = slot.fallbackState || { step: 0, excluded: new Set(), attempted: [], bidder: null };
+    slot.fallbackState = state;
+    state.reason = reason;
+
+    // A broken creative rules out its bidder; an empty or failed auction rules
+    // out everyone asked. An excluded creative rules out no one: the re-auction
+    // carries the exclusions in badv/bcat.
+    if (reason === "creative_error" || reason === "creative_rejected") {
+      if (state.bidder) state.excluded.add(state.bidder);
+    } else if (reason !== "excluded") {
+      state.attempted.forEach(code => state.excluded.add(code));
     }
 
-    try {
-      const urls = this.extractUrls(bid.adm);
-      if (!urls.imageUrl) {
-        this.showError(slotElement, "Invalid ad creative.");
+    this.emitDebug("fallback", { slot_id: slot.slot_id, slot: slot.id, slot_key: slot.key, reason, excluded: Array.from(state.excluded) });
+
+    while (state.step < slot.fallbackChain.length) {
+      const level = slot.fallbackChain[state.step++];
+
+      if (level === "bidder") {
+        const bidders = this.bidders.filter(bidder => !state.excluded.has(bidder.code));
+        if (!bidders.length) continue;
+        await this.loadAdForSlot(slotElement, slot, bidders);
         return;
       }
 
-      // Create container for the ad
-      const container = document.createElement("div");
-      container.style.width = "100%";
-      container.style.height = "100%";
-      container.style.overflow = "hidden";
-      container.style.position = "relative";
+      if (level === "house") {
+        const houseAd = await this.pickHouseAd(slot);
+        if (this.isStale(slotElement, slot, generation)) return;
+        if (!houseAd) continue;
 
-      // Create anchor and image elements
-      const anchor = document.createElement("a");
-      anchor.href = urls.clickUrl || "#";
-      anchor.style.display = "block";
-      anchor.style.width = "100%";
-      anchor.style.height = "100%";
-      
-      const img = document.createElement("img");
-      img.id = "ad-img-" + Math.random().toString(36).substring(2, 10);
-      img.src = urls.imageUrl;
-      img.alt = "Advertisement";
-      img.style.width = "100%";
-      img.style.height = "100%";
-      img.style.objectFit = "contain";
+        this.recordServedLevel(slotElement, slot, "house", reason);
+        this.renderHouseAd(slotElement, slot, houseAd);
+        return;
+      }
 
-      // Handle click tracking
-      anchor.addEventListener("click", (e) => {
-        e.preventDefault();
-        
-        // Send click event to update-adjourney
-        this.sendImpression(this.updateJourneyUrl + "?" + new URLSearchParams({
-          bid_id: bidResponse.id || bidResponse.bidid,
-          event: this.EVENTS.CLICK
-        }).toString());
-
-        // Short delay to ensure tracking fires before navigation
-        setTimeout(() => {
-          window.location.href = urls.clickUrl;
-        }, 100);
-      });
+      if (level === "passback") {
+        if (!slot.passbackTemplate) continue;
 
-      // Handle impression tracking
-      img.addEventListener("load", () => {
-        // Track impression URL from adm
-        if (urls.impressionUrl) {
-          this.sendImpression(urls.impressionUrl);
-          
-          // Send impression event to journey tracking
-          this.sendImpression(this.updateJourneyUrl + "?" + new URLSearchParams({
-            bid_id: bidResponse.id || bidResponse.bidid,
-            event: this.EVENTS.IMPRESSION
-          }).toString());
-        }
+        this.recordServedLevel(slotElement, slot, "passback", reason);
+        slotElement.appendChild(slot.passbackTemplate.content.cloneNode(true));
+        return;
+      }
 
-        // Handle win notice
-        if (bid.nurl) {
-          const nurlWithMacros = this.replaceAuctionMacros(bid.nurl, bidResponse);
-          this.sendImpression(nurlWithMacros);
-        }
-      });
+      if (level === "collapse") break;
+    }
 
-      // Error handling
-      img.addEventListener("error", () => {
-        this.showError(slotElement, "Ad image failed to load.");
-      });
+    // Collapsing always ends the chain, listed or not
+    this.recordServedLevel(slotElement, slot, "collapse", reason);
+    this.collapseSlot(slotElement);
+  }
 
-      // Assemble the ad
-      anchor.appendChild(img);
-      container.appendChild(anchor);
-      slotElement.appendChild(container);
-      
-      // Set up viewability tracking for billable impressions
-      this.setupViewabilityTracking(img, () => {
-        // Send billable impression event when viewability criteria are met
-        this.sendImpression(this.updateJourneyUrl + "?" + new URLSearchParams({
-          bid_id: bidResponse.id || bidResponse.bidid,
-          event: this.EVENTS.BILLED_IMPRESSION
-        }).toString());
-        
-        // Handle billing URL when the ad is viewable
-        if (bid.burl) {
-          const burlWithMacros = this.replaceAuctionMacros(bid.burl, bidResponse);
-          this.sendImpression(burlWithMacros);
-        }
-      });
-      
-    } catch (error) {
-      console.error("Error rendering ORTB ad:", error);
-      this.showError(slotElement, "Failed to render advertisement.");
+  /**
+   * Remembers which level of the fallback chain the slot is showing, on the
+   * slot (slot.served) and as data-ad-served on the placeholder
+   * @param {HTMLElement} slotElement - The ad placeholder
+   * @param {Object} slot - Slot definition
+   * @param {string} level - auction, bidder, house, passback or collapse
+   * @param {string} [reason] - Why the previous level failed
+   */
+  recordServedLevel(slotElement, slot, level, reason = null) {
+    const bidder = level === "auction" || level === "bidder" ? slot.fallbackState?.bidder : null;
+    slot.served = { level, reason, bidder: bidder || null, time: Date.now() };
+    slotElement.dataset.adServed = level;
+
+    // A slot collapsed by an earlier load gets its space back
+    if (level !== "collapse" && slotElement.style.height === "0px") {
+      slotElement.style.height = slot.format === "native" ? "" : `${slot.height}px`;
+      const container = slotElement.closest(".ad-container");
+      if (container) {
+        container.style.display = "";
+      }
     }
+
+    this.emitDebug("ad_served", { slot_id: slot.slot_id, slot: slot.id, slot_key: slot.key, ...slot.served });
   }
 
-  extractUrls(adm) {
-    try {
-      const parser = new DOMParser();
-      const doc = parser.parseFromString(adm, "text/html");
-      
-      const anchor = doc.querySelector("a");
-      const img = doc.querySelector("img");
-      
-      // Extract image load tracking URL from onload attribute if exists
-      let impressionUrl = null;
-      const onloadAttr = img?.getAttribute("onload");
-      if (onloadAttr) {
-        const match = onloadAttr.match(/sendUrl\('([^']+)'\)/);
-        impressionUrl = match?.[1] || null;
-      }
-      
-      return {
-        clickUrl: anchor?.href || null,
-        imageUrl: img?.src || null,
-        impressionUrl: impressionUrl
-      };
-    } catch (error) {
-      console.error("Error extracting URLs from ad markup:", error);
-      return { clickUrl: null, imageUrl: null, impressionUrl: null };
+  // Fetches the house ad manifest once per page; a missing manifest means no house ads
+  loadHouseAds() {
+    if (!this.houseAds) {
+      this.houseAds = fetch(this.FALLBACK.HOUSE_ADS_URL, { credentials: "same-origin" })
+        .then(response => {
+          if (!response.ok) throw new Error(`HTTP Error ${response.status}`);
+          return response.json();
+        })
+        .then(manifest => Array.isArray(manifest?.ads) ? manifest.ads : [])
+        .catch(error => {
+          console.warn("House ads unavailable:", error);
+          return [];
+        });
     }
+    return this.houseAds;
   }
 
   /**
-   * Sets up viewability tracking for an ad element
-   * @param {HTMLElement} element - The ad element to track (img or video)
-   * @param {Function} callback - Function to call when viewability criteria are met
+   * Picks a house ad for the slot from the manifest, weighted by `weight`.
+   * Ads without `sizes` fit any banner slot.
+   * @param {Object} slot - Slot definition
+   * @returns {Promise<Object|null>}
    */
-  setupViewabilityTracking(element, callback) {
-    // Only setup once
-    if (element._viewabilityTracking) return;
-    element._viewabilityTracking = true;
-    
-    let visibilityStart = null;
-    let visibilityTimeout = null;
-    let hasTriggeredBillable = false;
-    
-    // Set up Intersection Observer to track visibility
-    const observer = new IntersectionObserver((entries) => {
-      const entry = entries[0];
-      
-      if (entry.isIntersecting && entry.intersectionRatio >= this.VIEWABILITY.THRESHOLD) {
-        // Element is at least 50% visible
-        if (!visibilityStart) {
-          visibilityStart = performance.now();
-          
-          // Set timeout for minimum viewable duration
-          visibilityTimeout = setTimeout(() => {
-            if (!hasTriggeredBillable) {
-              hasTriggeredBillable = true;
-              callback();
-              observer.disconnect();
-            }
-          }, this.VIEWABILITY.DURATION);
-        }
-      } else {
-        // Element is less than 50% visible
-        if (visibilityStart) {
-          // Reset tracking
-          clearTimeout(visibilityTimeout);
-          visibilityStart = null;
+  async pickHouseAd(slot) {
+    if (slot.format !== "banner") return null;
+
+    const ads = (await this.loadHouseAds()).filter(ad =>
+      ad?.url && (ad.image || ad.headline) &&
+      (!Array.isArray(ad.sizes) || ad.sizes.some(([w, h]) => w === slot.width && h === slot.height))
+    );
+    if (!ads.length) return null;
+
+    const total = ads.reduce((sum, ad) => sum + (ad.weight || 1), 0);
+    let pick = Math.random() * total;
+    return ads.find(ad => (pick -= ad.weight || 1) < 0) || ads[0];
+  }
+
+  // Renders a house ad: an image creative, or a text promo for one of our own pages
+  renderHouseAd(slotElement, slot, houseAd) {
+    const anchor = document.createElement("a");
+    anchor.href = houseAd.url;
+    anchor.className = "house-ad";
+    anchor.style.display = "block";
+    anchor.style.width = "100%";
+    anchor.style.height = "100%";
+    anchor.style.overflow = "hidden";
+    anchor.style.textDecoration = "none";
+
+    if (houseAd.image) {
+      const img = document.createElement("img");
+      img.src = houseAd.image;
+      img.alt = houseAd.headline || "Advertisement";
+      img.style.width = "100%";
+      img.style.height = "100%";
+      img.style.objectFit = "contain";
+      img.addEventListener("error", () => {
+        if (slotElement.contains(img)) {
+          this.showFallback(slotElement, slot, "creative_error");
         }
+      });
+      anchor.appendChild(img);
+    } else {
+      anchor.style.boxSizing = "border-box";
+      anchor.style.padding = "8px 12px";
+      anchor.style.background = "#f0f4f8";
+      anchor.style.color = "#1a1a2e";
+      anchor.style.fontSize = "13px";
+      anchor.style.display = "flex";
+      anchor.style.flexDirection = slot.height > slot.width ? "column" : "row";
+      anchor.style.alignItems = "center";
+      anchor.style.justifyContent = "center";
+      anchor.style.gap = "8px";
+      anchor.style.textAlign = "center";
+
+      const headline = document.createElement("strong");
+      headline.textContent = houseAd.headline;
+      anchor.appendChild(headline);
+
+      if (houseAd.body && slot.height >= 90) {
+        const body = document.createElement("span");
+        body.textContent = houseAd.body;
+        anchor.appendChild(body);
       }
-    }, {
-      threshold: [this.VIEWABILITY.THRESHOLD]
-    });
-    
-    // Start observing
-    observer.observe(element);
-    
-    // Clean up on page unload
-    window.addEventListener("beforeunload", () => {
-      observer.disconnect();
-      if (visibilityTimeout) {
-        clearTimeout(visibilityTimeout);
+
+      if (houseAd.cta) {
+        const cta = document.createElement("span");
+        cta.textContent = houseAd.cta;
+        cta.style.fontWeight = "bold";
+        cta.style.color = "#0066cc";
+        anchor.appendChild(cta);
       }
-    }, { once: true });
-  }
+    }
 
-  sendImpression(url) {
-    if (!url) return Promise.resolve();
-    
-    // Use fetch with GET method for impression tracking
-    return fetch(url, {
-      method: "GET",
-      mode: "no-cors",
-      credentials: "omit",
-      keepalive: true,
-      cache: "no-store"
-    }).catch(err => {
-      console.warn("Impression tracking failed:", err);
-    });
+    slotElement.appendChild(anchor);
   }
 
-  replaceAuctionMacros(url, bidResponse) {
-    if (!url || !bidResponse?.seatbid?.[0]?.bid?.[0]) return url;
-    
-    const bid = bidResponse.seatbid[0].bid[0];
-    const macros = {
-      "${AUCTION_ID}": bidResponse.id || bidResponse.bidid || "",
-      "${AUCTION_BID_ID}": bid.id || "",
-      "${AUCTION_IMP_ID}": bid.impid || "",
-      "${AUCTION_SEAT_ID}": bidResponse.seatbid[0].seat || "",
-      "${AUCTION_PRICE}": bid.price?.toString() || "",
-      "${AUCTION_CURRENCY}": bidResponse.cur || "",
-      "${AUCTION_MBR}": "",
-      "${AUCTION_AD_ID}": bid.adid || "",
-      "${AUCTION_LOSS}": ""
-    };
-    
-    return Object.entries(macros).reduce((acc, [macro, value]) => {
-      return acc.replace(new RegExp(macro.replace(/\$/g, "\\$"), "g"), value);
-    }, url);
-  }
+  collapseSlot(slotElement) {
+    slotElement.innerHTML = "";
+    slotElement.style.height = "0px";
 
-  showError(slotElement, message) {
-    slotElement.innerHTML = `
-      <div class="ad-error" style="
-        width: 100%;
-        height: 100%;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        background: #f8f8f8;
-        color: #888;
-        font-size: 12px;
-        text-align: center;
-        border: 1px solid #ddd;
-      ">
-        <span>${message}</span>
-      </div>
-    `;
+    const container = slotElement.closest(".ad-container");
+    if (container) {
+      container.style.display = "none";
+    }
   }
 }
 
+// Local CMP stub for testing consent handling: ?cmpstub=grant or ?cmpstub=deny
+const cmpStubMode = new URLSearchParams(window.location.search).get("cmpstub");
+if ((cmpStubMode === "grant" || cmpStubMode === "deny") && typeof window.__tcfapi !== "function") {
+  installCmpStub(cmpStubMode);
+}
+
 // Initialize the ad system
 document.addEventListener("DOMContentLoaded", () => {
-  const adSystem = new AdSystem();
+  // Publishers may set window.adSystemOptions (e.g. { rootMargin: "400px 0px" })
+  // before this script runs
+  const adSystem = new AdSystem(window.adSystemOptions);
+
+  // Debug overlay and window.adSystemDebug: ?addebug=1
+  if (new URLSearchParams(window.location.search).get("addebug") === "1" || window.adSystemOptions?.debug) {
+    new AdDebugger(adSystem).start();
+  }
+
   adSystem.initialize().catch(err => {
     console.error("Failed to initialize ad system:", err);
   });
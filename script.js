@@ -18,29 +18,267 @@ const RSS_FEEDS = [
   }
 ];
 
-async function fetchRSSFeed(feedUrl) {
+// Feed aggregation settings. Pages can override them with window.newsOptions,
+// e.g. { corsProxy: 'http://localhost:8080/proxy?url={url}' } for a local stand-in.
+const NEWS_OPTIONS = {
+  // The feed URL is substituted for {url}, or appended URL-encoded
+  corsProxy: 'https://api.allorigins.win/raw?url=',
+  feedTimeout: 8000, // milliseconds per feed
+  freshFor: 5 * 60 * 1000, // cached feeds younger than this are not re-fetched
+  maxAge: 24 * 60 * 60 * 1000, // cached feeds older than this are not shown
+  searchDebounce: 250, // milliseconds of typing pause before search-as-you-type runs
+  searchHalfLifeHours: 24, // search results lose up to half their score as they age
+  ...window.newsOptions
+};
+
+// City feeds for the Local page, keyed by ISO 3166-2:IN state code
+const REGIONAL_FEEDS = {
+  DL: cityFeeds('delhi', 'delhi'),
+  MH: cityFeeds('mumbai', 'mumbai'),
+  KA: cityFeeds('bengaluru', 'bangalore'),
+  TN: cityFeeds('chennai', 'chennai'),
+  WB: cityFeeds('kolkata', 'kolkata'),
+  TG: cityFeeds('hyderabad', 'hyderabad'),
+  UP: cityFeeds('lucknow', 'lucknow'),
+  HR: cityFeeds('gurugram', 'gurgaon')
+};
+
+// What each page shows. A page picks its section and overrides any of these
+// with data-news-* attributes on <body> or a
+// <script type="application/json" id="newsConfig"> block, e.g.
+// <body data-news-section="local" data-news-region="MH">
+const NEWS_SECTIONS = {
+  home: { ranking: 'latest' },
+  // Stories carried by more sources rank higher; the weight halves every halfLifeHours
+  trending: { ranking: 'trending', halfLifeHours: 6, maxAgeHours: 48 },
+  local: { ranking: 'latest', region: 'DL' }
+};
+
+const NEWS_CONFIG = readNewsConfig();
+
+const FEED_CACHE_DB = 'news-feed-cache';
+const FEED_CACHE_STORE = 'feeds';
+
+// Search tokens are runs of letters and digits, lowercased without accents.
+// Devanagari vowel signs are marks, so \p{M} keeps Hindi words whole.
+const WORD_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+const STOP_WORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'to', 'was', 'with']);
+
+// Search state kept in the URL
+const SEARCH_PARAMS = ['q', 'source', 'from', 'to'];
+
+let feedCache = null;
+let feedRefresh = null;
+let newsRequest = 0;
+let newsFeed = null;
+let newsArticles = [];
+let searchIndex = null;
+let searchState = readSearchState();
+let searchTyping = false;
+let searchTimer = null;
+
+function cityFeeds(htCity, expressCity) {
+  return [
+    {
+      url: `https://www.hindustantimes.com/feeds/rss/cities/${htCity}-news/rssfeed.xml`,
+      source: 'Hindustan Times'
+    },
+    {
+      url: `https://indianexpress.com/section/cities/${expressCity}/feed/`,
+      source: 'Indian Express'
+    }
+  ];
+}
+
+// Resolves the page's section settings. The config block wins over data
+// attributes, which win over the section defaults.
+function readNewsConfig() {
+  const data = document.body?.dataset || {};
+  let block = {};
+  const script = document.getElementById('newsConfig');
+  if (script) {
+    try {
+      block = JSON.parse(script.textContent);
+    } catch (error) {
+      console.warn('Ignoring invalid newsConfig block:', error);
+    }
+  }
+
+  const attributes = {};
+  if (data.newsRegion) attributes.region = data.newsRegion;
+  if (data.newsRanking) attributes.ranking = data.newsRanking;
+  if (data.newsMaxAgeHours) attributes.maxAgeHours = Number(data.newsMaxAgeHours);
+  if (data.newsInclude) attributes.include = data.newsInclude;
+  if (data.newsExclude) attributes.exclude = data.newsExclude;
+  if (data.newsPageSize) attributes.pageSize = Number(data.newsPageSize);
+  if (data.newsAdEvery) attributes.adEvery = Number(data.newsAdEvery);
+
+  const section = block.section || data.newsSection || 'home';
+  if (!NEWS_SECTIONS[section]) {
+    console.warn(`Unknown news section "${section}", showing home`);
+  }
+  const config = {
+    halfLifeHours: 6,
+    maxAgeHours: 0, // 0: no limit
+    include: [],
+    exclude: [],
+    // Infinite scroll: cards added per page, and an in-feed ad after card
+    // firstAdAfter and every adEvery cards from there (0: no in-feed ads)
+    pageSize: 6,
+    firstAdAfter: 2,
+    adEvery: 4,
+    feedAdSlotId: 5,
+    loadAhead: 800, // px below the viewport at which the next page loads
+    adParkDistance: 3000, // px from the viewport beyond which in-feed ads are released
+    ...(NEWS_SECTIONS[section] || NEWS_SECTIONS.home),
+    ...attributes,
+    ...block,
+    section: NEWS_SECTIONS[section] ? section : 'home'
+  };
+
+  config.region = config.region && String(config.region).toUpperCase();
+  if (!Array.isArray(config.feeds) || !config.feeds.length) {
+    config.feeds = config.section === 'local'
+      ? REGIONAL_FEEDS[config.region] || REGIONAL_FEEDS[NEWS_SECTIONS.local.region]
+      : RSS_FEEDS;
+  }
+  config.include = keywordList(config.include);
+  config.exclude = keywordList(config.exclude);
+  return config;
+}
+
+// Keywords come as an array or a comma-separated string
+function keywordList(value) {
+  const keywords = Array.isArray(value) ? value : String(value || '').split(',');
+  return keywords.map(keyword => String(keyword).trim().toLowerCase()).filter(Boolean);
+}
+
+function proxyUrl(feedUrl) {
+  const proxy = NEWS_OPTIONS.corsProxy;
+  if (!proxy) return feedUrl;
+  return proxy.includes('{url}')
+    ? proxy.replace('{url}', encodeURIComponent(feedUrl))
+    : proxy + encodeURIComponent(feedUrl);
+}
+
+// Resolves to null where IndexedDB is unavailable (private browsing, blocked
+// storage); the feeds are then fetched on every load
+function openFeedCache() {
+  if (!feedCache) {
+    feedCache = new Promise(resolve => {
+      try {
+        const request = indexedDB.open(FEED_CACHE_DB, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(FEED_CACHE_STORE, { keyPath: 'url' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('Feed cache unavailable:', request.error);
+          resolve(null);
+        };
+      } catch (error) {
+        console.warn('Feed cache unavailable:', error);
+        resolve(null);
+      }
+    });
+  }
+  return feedCache;
+}
+
+async function readCachedFeed(url) {
+  const db = await openFeedCache();
+  if (!db) return null;
+
+  return new Promise(resolve => {
+    try {
+      const request = db.transaction(FEED_CACHE_STORE).objectStore(FEED_CACHE_STORE).get(url);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => resolve(null);
+    } catch (error) {
+      resolve(null);
+    }
+  });
+}
+
+async function writeCachedFeed(entry) {
+  const db = await openFeedCache();
+  if (!db) return;
+
+  return new Promise(resolve => {
+    try {
+      const transaction = db.transaction(FEED_CACHE_STORE, 'readwrite');
+      transaction.objectStore(FEED_CACHE_STORE).put(entry);
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => {
+        console.warn('Error caching feed:', transaction.error);
+        resolve();
+      };
+    } catch (error) {
+      console.warn('Error caching feed:', error);
+      resolve();
+    }
+  });
+}
+
+// Fetches one feed, revalidating the cached copy with ETag/Last-Modified.
+// Resolves to a cache entry: { url, items, etag, lastModified, fetchedAt }
+async function fetchRSSFeed(feed, cached) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), NEWS_OPTIONS.feedTimeout);
+
+  const headers = {};
+  if (cached?.etag) headers['If-None-Match'] = cached.etag;
+  if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
   try {
-    // Using a CORS proxy to fetch RSS feeds
-    const response = await fetch(`https://api.allorigins.win/raw?url=${encodeURIComponent(feedUrl)}`);
-    const text = await response.text();
-    
-    // Parse XML
-    const parser = new DOMParser();
-    const xml = parser.parseFromString(text, 'text/xml');
-    const items = xml.querySelectorAll('item');
-    
-    return Array.from(items).map(item => ({
-      title: item.querySelector('title')?.textContent || '',
-      description: item.querySelector('description')?.textContent.replace(/<\/?[^>]+(>|$)/g, '') || '',
-      url: item.querySelector('link')?.textContent || '',
-      published_at: item.querySelector('pubDate')?.textContent || '',
-      image_url: extractImageUrl(item),
-      source: item.querySelector('source')?.textContent || ''
-    }));
-  } catch (error) {
-    console.error('Error fetching RSS feed:', error);
-    return [];
+    let response;
+    try {
+      response = await fetch(proxyUrl(feed.url), { headers, signal: controller.signal });
+    } catch (error) {
+      // Proxies that do not allow conditional headers fail the CORS preflight
+      if (error.name === 'AbortError' || !Object.keys(headers).length) throw error;
+      response = await fetch(proxyUrl(feed.url), { signal: controller.signal });
+    }
+
+    if (response.status === 304 && cached) {
+      return { ...cached, fetchedAt: Date.now() };
+    }
+    if (!response.ok) throw new Error(`HTTP Error ${response.status}`);
+
+    return {
+      url: feed.url,
+      items: parseFeed(await response.text(), feed.source),
+      etag: response.headers.get('ETag'),
+      lastModified: response.headers.get('Last-Modified'),
+      fetchedAt: Date.now()
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function parseFeed(text, source) {
+  const parser = new DOMParser();
+  const xml = parser.parseFromString(text, 'text/xml');
+  if (xml.querySelector('parsererror')) {
+    throw new Error('Feed is not valid XML');
   }
+
+  return Array.from(xml.querySelectorAll('item')).map(item => ({
+    title: item.querySelector('title')?.textContent || '',
+    description: htmlToText(item.querySelector('description')?.textContent || ''),
+    url: item.querySelector('link')?.textContent || '',
+    published_at: item.querySelector('pubDate')?.textContent || '',
+    image_url: extractImageUrl(item),
+    source
+  }));
+}
+
+// Descriptions often carry HTML; DOMParser documents run no scripts and load nothing
+function htmlToText(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  doc.querySelectorAll('script, style').forEach(element => element.remove());
+  return doc.body.textContent.replace(/\s+/g, ' ').trim();
 }
 
 function extractImageUrl(item) {
@@ -63,46 +301,310 @@ function extractImageUrl(item) {
   return imgMatch ? imgMatch[1] : '/api/placeholder/400/200';
 }
 
-async function fetchNews(searchQuery = '') {
+// Re-fetches every feed of the page that is not fresh, all in parallel. A feed
+// that fails keeps its cached entry. Concurrent callers share one refresh.
+function refreshFeeds(cachedEntries) {
+  if (!feedRefresh) {
+    feedRefresh = Promise.all(NEWS_CONFIG.feeds.map(async (feed, index) => {
+      const cached = cachedEntries[index];
+      if (cached && Date.now() - cached.fetchedAt < NEWS_OPTIONS.freshFor) return cached;
+
+      try {
+        const entry = await fetchRSSFeed(feed, cached);
+        await writeCachedFeed(entry);
+        return entry;
+      } catch (error) {
+        console.error(`Error fetching ${feed.source} feed:`, error);
+        return cached;
+      }
+    })).finally(() => {
+      feedRefresh = null;
+    });
+  }
+  return feedRefresh;
+}
+
+// All cached items, newest first, with syndicated copies of a story removed
+function collectArticles(entries) {
+  const articles = entries.flatMap(entry => entry?.items || []);
+  articles.sort((a, b) =>
+    new Date(b.published_at) - new Date(a.published_at)
+  );
+  return dedupeArticles(articles);
+}
+
+// Lowercased words without punctuation or a trailing "- Source" credit
+function normalizeTitle(title) {
+  let normalized = title.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  NEWS_CONFIG.feeds.forEach(feed => {
+    normalized = normalized.replace(new RegExp(`\\s[-|–]\\s*${feed.source.toLowerCase()}\\s*$`), '');
+  });
+  return normalized.replace(/[^a-z0-9\u0900-\u097f]+/g, ' ').trim();
+}
+
+// Host and path only: scheme, www., query strings and trailing slashes vary between copies
+function normalizeArticleUrl(url) {
   try {
-    let allArticles = [];
-    
-    // Fetch from all RSS feeds
-    for (const feed of RSS_FEEDS) {
-      const articles = await fetchRSSFeed(feed.url);
-      articles.forEach(article => {
-        article.source = feed.source;
+    const parsed = new URL(url);
+    return parsed.hostname.replace(/^www\./, '') + parsed.pathname.replace(/\/+$/, '');
+  } catch (error) {
+    return '';
+  }
+}
+
+// Keeps the newest copy of each story. Copies share a normalized URL or
+// title, or titles of four or more words that are nearly the same. Each kept
+// article lists in `sources` every source that carried the story.
+function dedupeArticles(articles) {
+  const urls = new Map();
+  const titles = new Map();
+  const wordSets = [];
+  const kept = [];
+
+  articles.forEach(article => {
+    const url = normalizeArticleUrl(article.url);
+    const title = normalizeTitle(article.title);
+    const words = new Set(title.split(' ').filter(Boolean));
+
+    const original = (url && urls.get(url)) ||
+      (title && titles.get(title)) ||
+      (words.size >= 4 && wordSets.find(other => titleSimilarity(words, other.words) >= 0.8)?.article);
+    if (original) {
+      if (!original.sources.includes(article.source)) original.sources.push(article.source);
+      return;
+    }
+
+    // A copy, so the cached items are left as they are
+    const story = { ...article, sources: [article.source] };
+    if (url) urls.set(url, story);
+    if (title) titles.set(title, story);
+    if (words.size >= 4) wordSets.push({ words, article: story });
+    kept.push(story);
+  });
+  return kept;
+}
+
+// Jaccard similarity of two word sets
+function titleSimilarity(a, b) {
+  let shared = 0;
+  a.forEach(word => {
+    if (b.has(word)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+function filterArticles(articles) {
+  let matching = articles;
+
+  // Section filters from the page's news config
+  if (NEWS_CONFIG.maxAgeHours > 0) {
+    const oldest = Date.now() - NEWS_CONFIG.maxAgeHours * 60 * 60 * 1000;
+    matching = matching.filter(article => new Date(article.published_at) >= oldest);
+  }
+  if (NEWS_CONFIG.include.length || NEWS_CONFIG.exclude.length) {
+    matching = matching.filter(article => {
+      const text = `${article.title} ${article.description}`.toLowerCase();
+      return (!NEWS_CONFIG.include.length || NEWS_CONFIG.include.some(keyword => text.includes(keyword))) &&
+        !NEWS_CONFIG.exclude.some(keyword => text.includes(keyword));
+    });
+  }
+
+  // Filter valid articles
+  return matching.filter(article =>
+    article.title &&
+    article.description &&
+    !article.title.includes('[Removed]') &&
+    !article.description.includes('[Removed]')
+  );
+}
+
+// Articles come out of collectArticles newest first, which is the 'latest'
+// ranking. 'trending' scores a story by how many sources carried it,
+// halving every halfLifeHours of age.
+function rankArticles(articles) {
+  if (NEWS_CONFIG.ranking !== 'trending') return articles;
+
+  const now = Date.now();
+  const score = article => {
+    const ageHours = Math.max(0, (now - new Date(article.published_at)) / (60 * 60 * 1000));
+    // Undated stories sort last
+    if (Number.isNaN(ageHours)) return 0;
+    return article.sources.length * Math.pow(0.5, ageHours / NEWS_CONFIG.halfLifeHours);
+  };
+
+  return articles
+    .map(article => ({ article, score: score(article) }))
+    .sort((a, b) => b.score - a.score)
+    .map(({ article }) => article);
+}
+
+function selectArticles(entries) {
+  return rankArticles(filterArticles(collectArticles(entries)));
+}
+
+// Searches run against these articles, so a query never re-downloads feeds
+function setNewsArticles(articles) {
+  newsArticles = articles;
+  searchIndex = buildSearchIndex(articles);
+}
+
+function normalizeToken(word) {
+  return word.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function tokenize(text) {
+  return Array.from(text.matchAll(WORD_PATTERN), match => normalizeToken(match[0]));
+}
+
+// Every query word, less stop words. The last word is kept regardless, as
+// it may be the start of a longer word still being typed.
+function queryTerms(query) {
+  const words = tokenize(query);
+  const terms = words.filter((word, i) => i === words.length - 1 || !STOP_WORDS.has(word));
+  return Array.from(new Set(terms));
+}
+
+// Inverted index: token -> Map(article position -> weight), where a title
+// occurrence weighs 3 and a description occurrence 1
+function buildSearchIndex(articles) {
+  const postings = new Map();
+  articles.forEach((article, position) => {
+    [[article.title, 3], [article.description, 1]].forEach(([text, weight]) => {
+      tokenize(text).forEach(token => {
+        if (STOP_WORDS.has(token)) return;
+        if (!postings.has(token)) postings.set(token, new Map());
+        const articleWeights = postings.get(token);
+        articleWeights.set(position, (articleWeights.get(position) || 0) + weight);
       });
-      allArticles = allArticles.concat(articles);
+    });
+  });
+  return { articles, postings };
+}
+
+/**
+ * Articles matching every query term (as a word or the start of one) and
+ * the source and date filters. With a query they are ranked by relevance
+ * (term weight by rarity, whole words over prefixes) decayed by age;
+ * without one they keep the section's order.
+ * @param {Object} state - { q, source, from, to }, dates as YYYY-MM-DD
+ */
+function searchArticles(index, state) {
+  const from = state.from ? new Date(`${state.from}T00:00:00`) : null;
+  const to = state.to ? new Date(`${state.to}T23:59:59.999`) : null;
+  const allowed = index.articles.map(article => {
+    const published = new Date(article.published_at);
+    return (!state.source || article.sources.includes(state.source)) &&
+      (!from || published >= from) &&
+      (!to || published <= to);
+  });
+
+  const terms = queryTerms(state.q);
+  if (!terms.length) {
+    return index.articles.filter((article, position) => allowed[position]);
+  }
+
+  let scores = null;
+  terms.forEach(term => {
+    const termScores = new Map();
+    index.postings.forEach((articleWeights, token) => {
+      if (!token.startsWith(term)) return;
+      const idf = Math.log(1 + index.articles.length / articleWeights.size);
+      const match = token === term ? 1 : 0.5;
+      articleWeights.forEach((weight, position) => {
+        termScores.set(position, Math.max(termScores.get(position) || 0, weight * idf * match));
+      });
+    });
+
+    if (!scores) {
+      scores = termScores;
+      return;
     }
+    const both = new Map();
+    scores.forEach((score, position) => {
+      if (termScores.has(position)) both.set(position, score + termScores.get(position));
+    });
+    scores = both;
+  });
+
+  const now = Date.now();
+  return Array.from(scores)
+    .filter(([position]) => allowed[position])
+    .map(([position, relevance]) => {
+      const article = index.articles[position];
+      const ageHours = Math.max(0, (now - new Date(article.published_at)) / (60 * 60 * 1000));
+      const recency = Number.isNaN(ageHours) ? 0 : Math.pow(0.5, ageHours / NEWS_OPTIONS.searchHalfLifeHours);
+      return { article, score: relevance * (0.5 + 0.5 * recency) };
+    })
+    .sort((a, b) => b.score - a.score)
+    .map(({ article }) => article);
+}
 
-    // Sort by date
-    allArticles.sort((a, b) => 
-      new Date(b.published_at) - new Date(a.published_at)
+// Splits text into strings and <mark> elements around words matching the terms
+function highlightText(text, terms) {
+  if (!terms.length) return [text];
+
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    const word = normalizeToken(match[0]);
+    if (!terms.some(term => word.startsWith(term))) continue;
+    parts.push(text.slice(last, match.index), createElement('mark', '', [match[0]]));
+    last = match.index + match[0].length;
+  }
+  parts.push(text.slice(last));
+  return parts.filter(part => part !== '');
+}
+
+/**
+ * Shows the articles matching the current search
+ * @param {boolean} [typing] - The user is still typing: the in-feed ads stay
+ *   in place until the search is committed
+ */
+function showSearchResults(typing = false) {
+  if (!searchIndex) return;
+
+  const results = searchArticles(searchIndex, searchState);
+  if (results.length > 0) {
+    const terms = queryTerms(searchState.q);
+    displayNews(results, terms, typing);
+    displayTrendingTopics(results.slice(0, 5), terms);
+  } else {
+    displayNoNewsMessage(newsArticles.length > 0);
+  }
+}
+
+// Stale-while-revalidate: cached news is shown straight away while stale
+// feeds are refreshed, and the page is only redrawn if the news changed
+async function fetchNews() {
+  const request = ++newsRequest;
+
+  try {
+    const cached = await Promise.all(NEWS_CONFIG.feeds.map(feed => readCachedFeed(feed.url)));
+    const usable = cached.map(entry =>
+      entry && Date.now() - entry.fetchedAt < NEWS_OPTIONS.maxAge ? entry : null
     );
 
-    // Filter by search query if provided
-    if (searchQuery) {
-      const query = searchQuery.toLowerCase();
-      allArticles = allArticles.filter(article =>
-        article.title.toLowerCase().includes(query) ||
-        article.description.toLowerCase().includes(query)
-      );
+    let shownKey = null;
+    if (usable.some(Boolean)) {
+      setNewsArticles(selectArticles(usable));
+      showSearchResults();
+      shownKey = newsArticles.map(article => article.url).join('\n');
     }
 
-    // Filter valid articles
-    const validArticles = allArticles.filter(article =>
-      article.title &&
-      article.description &&
-      !article.title.includes('[Removed]') &&
-      !article.description.includes('[Removed]')
-    );
+    const refreshed = await refreshFeeds(usable);
 
-    if (validArticles.length > 0) {
-      displayNews(validArticles);
-      displayTrendingTopics(validArticles.slice(0, 5));
-    } else {
-      displayNoNewsMessage();
+    // A newer search or load has taken over the page
+    if (request !== newsRequest) return;
+
+    if (!refreshed.some(Boolean)) {
+      if (shownKey === null) displayErrorMessage();
+      return;
+    }
+
+    const articles = selectArticles(refreshed);
+    if (articles.map(article => article.url).join('\n') !== shownKey) {
+      setNewsArticles(articles);
+      showSearchResults();
     }
   } catch (error) {
     console.error('Error processing news:', error);
@@ -110,87 +612,267 @@ async function fetchNews(searchQuery = '') {
   }
 }
 
-function displayNews(articles) {
+// Feed content is untrusted. It reaches the page only as text nodes and
+// attribute values, and only http(s) URLs are used for links and images.
+function safeUrl(url) {
+  try {
+    const parsed = new URL(url, window.location.href);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Strings among the children become text nodes, never markup
+function createElement(tag, className = '', children = []) {
+  const element = document.createElement(tag);
+  if (className) element.className = className;
+  element.append(...children);
+  return element;
+}
+
+function createArticleImage(article, className, fallbackUrl) {
+  const img = createElement('img', className);
+  img.alt = article.title;
+  img.src = safeUrl(article.image_url) || fallbackUrl;
+  img.addEventListener('error', () => {
+    img.src = fallbackUrl;
+  }, { once: true });
+  return img;
+}
+
+function createArticleLink(article, className, children) {
+  const link = createElement('a', className, children);
+  const href = safeUrl(article.url);
+  if (href) {
+    link.href = href;
+    link.target = '_blank';
+    link.rel = 'noopener';
+  }
+  return link;
+}
+
+// Source badge, date and "Read More" button along the bottom of a card
+function createArticleFooter(article, buttonClass) {
+  return createElement('div', 'd-flex justify-content-between align-items-center', [
+    createElement('span', 'source-badge', [createElement('i', 'fas fa-newspaper me-1'), article.source]),
+    createElement('div', '', [
+      createElement('small', 'text-muted me-3', [new Date(article.published_at).toLocaleDateString()]),
+      createArticleLink(article, buttonClass, ['Read More'])
+    ])
+  ]);
+}
+
+// Query terms are highlighted in titles and descriptions
+function displayNews(articles, terms = [], keepAds = false) {
   // Display featured article
   const featuredArticle = articles[0];
-  document.getElementById('featuredNews').innerHTML = `
-    <img src="${featuredArticle.image_url}" class="card-img-top" alt="${featuredArticle.title}" 
-         onerror="this.src='/api/placeholder/800/400'">
-    <div class="card-body">
-        <span class="badge bg-primary mb-2">Featured</span>
-        <h2 class="card-title">${featuredArticle.title}</h2>
-        <p class="card-text">${featuredArticle.description}</p>
-        <div class="d-flex justify-content-between align-items-center">
-            <span class="source-badge">
-                <i class="fas fa-newspaper me-1"></i>
-                ${featuredArticle.source}
-            </span>
-            <div>
-                <small class="text-muted me-3">
-                    ${new Date(featuredArticle.published_at).toLocaleDateString()}
-                </small>
-                <a href="${featuredArticle.url}" target="_blank" class="btn btn-primary">Read More</a>
-            </div>
-        </div>
-    </div>
-  `;
+  document.getElementById('featuredNews').replaceChildren(
+    createArticleImage(featuredArticle, 'card-img-top', '/api/placeholder/800/400'),
+    createElement('div', 'card-body', [
+      createElement('span', 'badge bg-primary mb-2', ['Featured']),
+      createElement('h2', 'card-title', highlightText(featuredArticle.title, terms)),
+      createElement('p', 'card-text', highlightText(featuredArticle.description, terms)),
+      createArticleFooter(featuredArticle, 'btn btn-primary')
+    ])
+  );
 
-  // Display news grid
-  const newsGrid = document.getElementById('newsGrid');
-  newsGrid.innerHTML = articles.slice(1, 7)
-    .map(article => `
-      <div class="col-md-6">
-          <div class="news-card card">
-              <img src="${article.image_url}" class="card-img-top" alt="${article.title}"
-                   onerror="this.src='/api/placeholder/400/200'">
-              <div class="card-body">
-                  <h5 class="card-title">${article.title}</h5>
-                  <p class="card-text">${article.description?.substring(0, 100)}...</p>
-                  <div class="d-flex justify-content-between align-items-center">
-                      <span class="source-badge">
-                          <i class="fas fa-newspaper me-1"></i>
-                          ${article.source}
-                      </span>
-                      <div>
-                          <small class="text-muted me-3">
-                              ${new Date(article.published_at).toLocaleDateString()}
-                          </small>
-                          <a href="${article.url}" target="_blank" class="btn btn-outline-primary btn-sm">Read More</a>
-                      </div>
-                  </div>
-              </div>
-          </div>
-      </div>
-    `).join('');
-}
-
-function displayTrendingTopics(articles) {
-  const trendingTopics = document.getElementById('trendingTopics');
-  trendingTopics.innerHTML = articles
-    .map(article => `
-      <div class="d-flex align-items-center mb-3">
-          <img src="${article.image_url}" class="rounded" width="50" height="50" alt="${article.title}"
-               onerror="this.src='/api/placeholder/50/50'">
-          <div class="ms-3">
-              <a href="${article.url}" target="_blank" class="text-decoration-none text-dark">
-                  <h6 class="mb-0">${article.title.substring(0, 60)}...</h6>
-              </a>
-              <small class="text-muted">
-                  ${article.source} • ${new Date(article.published_at).toLocaleDateString()}
-              </small>
-          </div>
-      </div>
-    `).join('');
-}
-
-function displayNoNewsMessage() {
-  document.getElementById('featuredNews').innerHTML = `
+  // Display news grid, a page at a time
+  startNewsFeed(articles.slice(1), terms, keepAds);
+
+  shareAdContent('news', articles.slice(0, 7));
+}
+
+function createNewsCard(article, terms) {
+  return createElement('div', 'col-md-6', [
+    createElement('div', 'news-card card', [
+      createArticleImage(article, 'card-img-top', '/api/placeholder/400/200'),
+      createElement('div', 'card-body', [
+        createElement('h5', 'card-title', highlightText(article.title, terms)),
+        createElement('p', 'card-text', highlightText(`${article.description?.substring(0, 100)}...`, terms)),
+        createArticleFooter(article, 'btn btn-outline-primary btn-sm')
+      ])
+    ])
+  ]);
+}
+
+// Infinite scroll over #newsGrid: the next page of cards is added when the
+// "Load more" button comes within loadAhead of the viewport (or is clicked).
+// With keepAds the in-feed ads already shown go back into the new first page
+// instead of new slots, so search-as-you-type does not start auctions.
+function startNewsFeed(articles, terms, keepAds = false) {
+  const spareAds = keepAds && newsFeed ? newsFeed.ads : [];
+  clearNewsFeed(spareAds);
+
+  const grid = document.getElementById('newsGrid');
+  let more = document.getElementById('loadMoreNews');
+  if (!more) {
+    more = createElement('button', 'btn btn-outline-primary d-block mx-auto my-4', ['Load more stories']);
+    more.id = 'loadMoreNews';
+    more.type = 'button';
+    more.addEventListener('click', () => loadMoreNews());
+    grid.after(more);
+  }
+
+  newsFeed = { articles, terms, next: 0, cards: 0, ads: [], spareAds, grid, more, pager: null, parking: null };
+
+  if (typeof IntersectionObserver !== 'undefined') {
+    newsFeed.pager = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) loadMoreNews();
+    }, { rootMargin: `0px 0px ${NEWS_CONFIG.loadAhead}px 0px` });
+
+    // In-feed ads far out of view give their slot back to ads.js, keeping
+    // their height so the page does not jump, and bid again on return
+    newsFeed.parking = new IntersectionObserver(entries => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          restoreFeedAd(entry.target);
+        } else {
+          parkFeedAd(entry.target);
+        }
+      });
+    }, { rootMargin: `${NEWS_CONFIG.adParkDistance}px 0px` });
+  }
+
+  loadMoreNews();
+
+  // Kept ads the first page has no room for
+  destroyFeedAds(newsFeed.spareAds.splice(0));
+}
+
+// The ads in keep are left registered, for startNewsFeed to put back
+function clearNewsFeed(keep = []) {
+  if (newsFeed) {
+    newsFeed.pager?.disconnect();
+    newsFeed.parking?.disconnect();
+    destroyFeedAds(newsFeed.ads.filter(placeholder => !keep.includes(placeholder)));
+    newsFeed.more.hidden = true;
+    newsFeed = null;
+  }
+  document.getElementById('newsGrid').replaceChildren();
+}
+
+function destroyFeedAds(ads) {
+  if (ads.length) {
+    window.adq = window.adq || [];
+    window.adq.push(api => ads.forEach(placeholder => api.destroySlot(placeholder)));
+  }
+}
+
+function loadMoreNews() {
+  const feed = newsFeed;
+  if (!feed || feed.next >= feed.articles.length) return;
+
+  const page = feed.articles.slice(feed.next, feed.next + NEWS_CONFIG.pageSize);
+  feed.next += page.length;
+
+  const columns = [];
+  const ads = [];
+  const created = [];
+  page.forEach(article => {
+    columns.push(createNewsCard(article, feed.terms));
+    feed.cards++;
+    if (isFeedAdPosition(feed.cards)) {
+      let placeholder = feed.spareAds.shift();
+      if (!placeholder) {
+        placeholder = createFeedAd(feed.ads.length + ads.length + 1);
+        created.push(placeholder);
+      }
+      ads.push(placeholder);
+      columns.push(createElement('div', 'col-md-6', [placeholder]));
+    }
+  });
+  feed.grid.append(...columns);
+  feed.ads.push(...ads);
+
+  // Registered explicitly rather than left to ads.js's DOM observer, which
+  // pages may turn off
+  if (created.length) {
+    window.adq = window.adq || [];
+    window.adq.push(api => created.forEach(placeholder => api.display(placeholder)));
+  }
+  ads.forEach(placeholder => feed.parking?.observe(placeholder));
+
+  feed.more.hidden = feed.next >= feed.articles.length;
+
+  // Observing again reports where the button is now, so a page that leaves
+  // it in view loads the next one
+  feed.pager?.unobserve(feed.more);
+  if (!feed.more.hidden) feed.pager?.observe(feed.more);
+}
+
+// In-feed native ads need the page's template
+function isFeedAdPosition(cards) {
+  const { firstAdAfter, adEvery } = NEWS_CONFIG;
+  if (!adEvery || !document.getElementById('nativeAdTemplate')) return false;
+  return cards >= firstAdAfter && (cards - firstAdAfter) % adEvery === 0;
+}
+
+function createFeedAd(index) {
+  const placeholder = createElement('div', 'ad-placeholder h-100');
+  placeholder.id = `div-gpt-ad-native-feed-${index}`;
+  placeholder.dataset.format = 'native';
+  placeholder.dataset.slot_id = String(NEWS_CONFIG.feedAdSlotId);
+  placeholder.dataset.nativeTemplate = 'nativeAdTemplate';
+  return placeholder;
+}
+
+function parkFeedAd(placeholder) {
+  if (placeholder.dataset.parked) return;
+  placeholder.dataset.parked = 'true';
+  placeholder.style.minHeight = `${placeholder.offsetHeight}px`;
+  window.adq.push(api => api.destroySlot(placeholder));
+}
+
+function restoreFeedAd(placeholder) {
+  if (!placeholder.dataset.parked) return;
+  delete placeholder.dataset.parked;
+  window.adq.push(api => api.display(placeholder));
+}
+
+function displayTrendingTopics(articles, terms = []) {
+  const topics = articles.map(article => {
+    const img = createArticleImage(article, 'rounded', '/api/placeholder/50/50');
+    img.width = 50;
+    img.height = 50;
+
+    return createElement('div', 'd-flex align-items-center mb-3', [
+      img,
+      createElement('div', 'ms-3', [
+        createArticleLink(article, 'text-decoration-none text-dark', [
+          createElement('h6', 'mb-0', highlightText(`${article.title.substring(0, 60)}...`, terms))
+        ]),
+        createElement('small', 'text-muted', [
+          `${article.source} • ${new Date(article.published_at).toLocaleDateString()}`
+        ])
+      ])
+    ]);
+  });
+  document.getElementById('trendingTopics').replaceChildren(...topics);
+
+  shareAdContent('trending', articles);
+}
+
+// Tells ads.js what the page shows, for contextual targeting
+function shareAdContent(section, articles) {
+  const content = articles.map(({ title, description, url, source }) => ({ title, description, url, source }));
+  window.adq = window.adq || [];
+  window.adq.push(api => api.setPageContent(section, content));
+}
+
+function displayNoNewsMessage(searching = false) {
+  document.getElementById('featuredNews').innerHTML = searching ? `
+    <div class="card-body text-center">
+        <h3>No Matching Stories</h3>
+        <p>No stories match your search. Try other words or clear the filters.</p>
+    </div>
+  ` : `
     <div class="card-body text-center">
         <h3>No Recent News Available</h3>
         <p>We couldn't find any recent news from India. Please try again later.</p>
     </div>
   `;
-  document.getElementById('newsGrid').innerHTML = '';
+  clearNewsFeed();
   document.getElementById('trendingTopics').innerHTML = '';
 }
 
@@ -203,12 +885,117 @@ function displayErrorMessage() {
   `;
 }
 
+function readSearchState() {
+  const params = new URLSearchParams(window.location.search);
+  const state = {};
+  SEARCH_PARAMS.forEach(key => {
+    state[key] = params.get(key) || '';
+  });
+  return state;
+}
+
+function readSearchForm() {
+  return {
+    q: document.getElementById('searchInput').value.trim(),
+    source: document.getElementById('searchSource')?.value || '',
+    from: document.getElementById('searchFrom')?.value || '',
+    to: document.getElementById('searchTo')?.value || ''
+  };
+}
+
+function fillSearchForm(state) {
+  document.getElementById('searchInput').value = state.q;
+  const fields = { searchSource: state.source, searchFrom: state.from, searchTo: state.to };
+  Object.entries(fields).forEach(([id, value]) => {
+    const field = document.getElementById(id);
+    if (field) field.value = value;
+  });
+}
+
+/**
+ * Runs the search in the form and puts it in the URL. A search the user
+ * commits (Enter, the search button, a filter) gets its own history entry;
+ * search-as-you-type updates one entry for the whole run of typing.
+ * @param {boolean} typing - Called from the debounced input handler
+ */
+function updateSearch(typing) {
+  clearTimeout(searchTimer);
+  searchState = readSearchForm();
+
+  const url = new URL(window.location.href);
+  SEARCH_PARAMS.forEach(key => {
+    if (searchState[key]) {
+      url.searchParams.set(key, searchState[key]);
+    } else {
+      url.searchParams.delete(key);
+    }
+  });
+  if (url.href !== window.location.href) {
+    if (typing && searchTyping) {
+      history.replaceState(null, '', url);
+    } else {
+      history.pushState(null, '', url);
+    }
+  }
+  searchTyping = typing;
+
+  showSearchResults(typing);
+  if (!typing) retargetAds();
+}
+
+// A committed search, or clearing one, changes what the page is about. The
+// ads already showing are refreshed unless the page content ends up the same.
+function retargetAds() {
+  window.adq = window.adq || [];
+  window.adq.push(api => api.refreshIfContentChanged());
+}
+
+// An empty query shows all the section's news again
 function searchNews() {
-  const searchQuery = document.getElementById('searchInput').value;
-  if (searchQuery.trim()) {
-    fetchNews(searchQuery);
+  updateSearch(false);
+}
+
+function setupSearch() {
+  const input = document.getElementById('searchInput');
+  const sources = document.getElementById('searchSource');
+  if (sources) {
+    new Set(NEWS_CONFIG.feeds.map(feed => feed.source)).forEach(source => {
+      const option = createElement('option', '', [source]);
+      option.value = source;
+      sources.append(option);
+    });
   }
+  fillSearchForm(searchState);
+
+  input.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => updateSearch(true), NEWS_OPTIONS.searchDebounce);
+  });
+  // Enter
+  input.form?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    searchNews();
+  });
+  ['searchSource', 'searchFrom', 'searchTo'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', searchNews);
+  });
+
+  // Back/forward restore the search in the URL
+  window.addEventListener('popstate', () => {
+    clearTimeout(searchTimer);
+    searchTyping = false;
+    searchState = readSearchState();
+    fillSearchForm(searchState);
+    showSearchResults();
+    retargetAds();
+  });
 }
 
-// Initial load
+// The section is page context for ad targeting; queued before ads.js
+// initializes, so it applies to the first auctions
+window.adq = window.adq || [];
+window.adq.push(api => api.setPageSection(NEWS_CONFIG.section));
+
+// Initial load, with any search in the URL
+setupSearch();
 fetchNews();
\ No newline at end of file
@@ -0,0 +1,24 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, readFixture } = require("./helpers/load-page");
+
+// Each fixture holds a bid response, the slot it answers and the expected
+// { ad, errors } with the Ad model and the field errors in report order
+const BID_RESPONSES = JSON.parse(readFixture("bid-responses.json"));
+
+// Objects from the jsdom window have that window's prototypes
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+// Same asset ids as AdSystem#NATIVE.ASSETS
+const NATIVE_ASSETS = { TITLE: 1, IMAGE: 2, SPONSORED_BY: 3, CTA: 4 };
+
+test("AdNormalizer", async (t) => {
+  const { exports } = await loadPage({ scripts: ["ads.js"], exports: ["AdNormalizer"] });
+  const normalizer = new exports.AdNormalizer({ currency: "USD", nativeAssets: NATIVE_ASSETS });
+
+  for (const fixture of BID_RESPONSES) {
+    await t.test(fixture.name, () => {
+      assert.deepEqual(plain(normalizer.normalize(fixture.response, fixture.slot)), fixture.expected);
+    });
+  }
+});
@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, readFixture } = require("./helpers/load-page");
+
+const USER_AGENTS = JSON.parse(readFixture("user-agents.json"));
+
+// Objects from the jsdom window have that window's prototypes
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+async function loadAds(beforeScripts) {
+  const { exports } = await loadPage({
+    scripts: ["ads.js"],
+    exports: ["detectDeviceFromUserAgent", "detectDevice"],
+    beforeScripts,
+  });
+  return exports;
+}
+
+test("detectDeviceFromUserAgent", async (t) => {
+  const { detectDeviceFromUserAgent } = await loadAds();
+
+  for (const fixture of USER_AGENTS) {
+    await t.test(fixture.name, () => {
+      assert.deepEqual(plain(detectDeviceFromUserAgent(fixture.ua, fixture.hints)), fixture.expected);
+    });
+  }
+});
+
+// Stands in for navigator.userAgentData of a Chromium browser
+function clientHints(ua, { platform, mobile = false, values }) {
+  return (window) => {
+    Object.defineProperty(window.navigator, "userAgent", { value: ua });
+    Object.defineProperty(window.navigator, "userAgentData", {
+      value: {
+        platform,
+        mobile,
+        brands: [{ brand: "Google Chrome", version: values.fullVersionList[0].version.split(".")[0] }],
+        getHighEntropyValues: async () => values,
+      },
+    });
+  };
+}
+
+test("detectDevice prefers Client Hints", async (t) => {
+  await t.test("Windows 11 from platformVersion", async () => {
+    const ua = USER_AGENTS.find(fixture => fixture.name === "Windows 10, Chrome").ua;
+    const { detectDevice } = await loadAds(clientHints(ua, {
+      platform: "Windows",
+      values: {
+        architecture: "x86",
+        bitness: "64",
+        model: "",
+        platformVersion: "15.0.0",
+        fullVersionList: [{ brand: "Google Chrome", version: "120.0.6099.130" }],
+      },
+    }));
+
+    const device = await detectDevice();
+    assert.equal(device.os, "Windows");
+    assert.equal(device.osv, "11");
+    assert.deepEqual(plain(device.sua), {
+      browsers: [{ brand: "Google Chrome", version: ["120", "0", "6099", "130"] }],
+      platform: { brand: "Windows", version: ["15", "0", "0"] },
+      mobile: 0,
+      source: 2,
+      architecture: "x86",
+      bitness: "64",
+    });
+  });
+
+  await t.test("Chrome OS version from the browser, not the platform build", async () => {
+    const ua = USER_AGENTS.find(fixture => fixture.name === "Chromebook, Chrome OS").ua;
+    const { detectDevice } = await loadAds(clientHints(ua, {
+      platform: "Chrome OS",
+      values: {
+        platformVersion: "14541.0.0",
+        fullVersionList: [{ brand: "Google Chrome", version: "119.0.6045.192" }],
+      },
+    }));
+
+    const device = await detectDevice();
+    assert.equal(device.os, "Chrome OS");
+    assert.equal(device.osv, "119.0.6045.192");
+  });
+
+  await t.test("Android tablet from the mobile hint", async () => {
+    const ua = USER_AGENTS.find(fixture => fixture.name === "Android phone, Chrome reduced UA").ua;
+    const { detectDevice } = await loadAds(clientHints(ua, {
+      platform: "Android",
+      values: {
+        model: "SM-X700",
+        platformVersion: "14.0.0",
+        fullVersionList: [{ brand: "Google Chrome", version: "120.0.6099.144" }],
+      },
+    }));
+
+    const device = await detectDevice();
+    assert.equal(device.devicetype, 5);
+    assert.equal(device.make, "Samsung");
+    assert.equal(device.model, "SM-X700");
+    assert.equal(device.osv, "14.0.0");
+  });
+});
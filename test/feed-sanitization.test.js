@@ -0,0 +1,136 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadPage, readFixture } = require("./helpers/load-page");
+
+// Feed items with script tags, event handler attributes and javascript:/data:
+// links and images in every field script.js reads
+const HOSTILE_FEED = readFixture("malicious-feed.xml");
+
+// Objects from the jsdom window have that window's prototypes
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+// Every feed of the page answers with the hostile feed
+function serveFeed(window) {
+  window.fetch = async () => ({
+    ok: true,
+    status: 200,
+    headers: { get: () => null },
+    text: async () => HOSTILE_FEED,
+  });
+}
+
+async function loadNewsPage() {
+  return loadPage({
+    page: "index.html",
+    scripts: ["script.js"],
+    exports: ["parseFeed", "htmlToText", "safeUrl", "createElement"],
+    beforeScripts: serveFeed,
+  });
+}
+
+async function waitFor(check, timeout = 2000) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeout) throw new Error("Timed out waiting for the page to render");
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+test("parseFeed keeps feed markup out of the article fields", async () => {
+  const { exports } = await loadNewsPage();
+  const articles = plain(exports.parseFeed(HOSTILE_FEED, "Hostile"));
+
+  // Titles are shown as text, so their markup is kept verbatim
+  assert.deepEqual(articles.map(article => article.title), [
+    "<script>window.__pwned = \"title\"</script>Budget 2026: key announcements",
+    "<img src=x onerror=\"window.__pwned = 'title markup'\">Monsoon update for Kerala",
+    "Cricket: India win the series",
+    "Metro line opens in Delhi",
+  ]);
+  // Descriptions lose their tags, and scripts along with their text
+  assert.deepEqual(articles.map(article => article.description), [
+    "Markets rally after the speech.",
+    "Heavy rain expected across the state.",
+    "A comfortable chase in Pune.",
+    "Commuters get a new link to the airport.",
+  ]);
+});
+
+test("htmlToText drops scripts and styles", async () => {
+  const { exports } = await loadNewsPage();
+  assert.equal(
+    exports.htmlToText("<style>p { color: red }</style><p>Rates <script>alert(1)</script>held</p><img src=x onerror=alert(2)>"),
+    "Rates held"
+  );
+});
+
+test("safeUrl only lets http(s) URLs through", async () => {
+  const { exports } = await loadNewsPage();
+  const { safeUrl } = exports;
+
+  assert.equal(safeUrl("javascript:alert(1)"), null);
+  assert.equal(safeUrl(" JavaScript:alert(1)"), null);
+  assert.equal(safeUrl("data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg=="), null);
+  assert.equal(safeUrl("data:image/svg+xml,<svg onload=alert(1)>"), null);
+  assert.equal(safeUrl("vbscript:msgbox(1)"), null);
+  assert.equal(safeUrl("https://news.example/story"), "https://news.example/story");
+  assert.equal(safeUrl("http://news.example/story"), "http://news.example/story");
+  assert.equal(safeUrl("/story"), "https://news.example/story");
+});
+
+test("createElement turns string children into text nodes", async () => {
+  const { window, exports } = await loadNewsPage();
+  const element = exports.createElement("h2", "card-title", ["<img src=x onerror=alert(1)>Headline"]);
+
+  assert.equal(element.children.length, 0);
+  assert.equal(element.childNodes.length, 1);
+  assert.equal(element.firstChild.nodeType, window.Node.TEXT_NODE);
+  assert.equal(element.textContent, "<img src=x onerror=alert(1)>Headline");
+});
+
+test("a hostile feed renders as text with only http(s) links and images", async () => {
+  const { window } = await loadNewsPage();
+  const { document } = window;
+  await waitFor(() => document.querySelector("#featuredNews .card-title") && document.querySelector("#newsGrid .news-card"));
+
+  const rendered = ["featuredNews", "newsGrid", "trendingTopics"].map(id => document.getElementById(id));
+
+  for (const section of rendered) {
+    assert.equal(section.querySelectorAll("script, iframe, object, embed, svg").length, 0, `markup in #${section.id}`);
+
+    for (const element of section.querySelectorAll("*")) {
+      const handlers = Array.from(element.attributes).filter(attribute => /^on/i.test(attribute.name));
+      assert.deepEqual(plain(handlers.map(attribute => attribute.name)), [], `event handler on <${element.localName}>`);
+    }
+
+    for (const element of section.querySelectorAll("[href], [src]")) {
+      const url = new window.URL(element.getAttribute("href") ?? element.getAttribute("src"), document.baseURI);
+      assert.match(url.protocol, /^https?:$/, `${element.localName} URL ${url.href}`);
+    }
+  }
+
+  // Title markup is shown as text
+  const featuredTitle = document.querySelector("#featuredNews .card-title");
+  assert.equal(featuredTitle.textContent, "<script>window.__pwned = \"title\"</script>Budget 2026: key announcements");
+  assert.ok(Array.from(featuredTitle.childNodes).every(node => node.nodeType === window.Node.TEXT_NODE));
+  const cardTitles = Array.from(document.querySelectorAll("#newsGrid .card-title"), title => title.textContent);
+  assert.ok(cardTitles.includes("<img src=x onerror=\"window.__pwned = 'title markup'\">Monsoon update for Kerala"));
+
+  // javascript: and data: links leave the "Read More" button without a target
+  const links = Array.from(document.querySelectorAll("#featuredNews a, #newsGrid .news-card a"));
+  assert.deepEqual(plain(links.map(link => link.getAttribute("href"))), [
+    null,
+    null,
+    "https://news.example/sport/india-win-series",
+    "https://news.example/city/metro-opens",
+  ]);
+
+  // javascript: and data: images fall back to the placeholder
+  const images = Array.from(document.querySelectorAll("#featuredNews img, #newsGrid .news-card img"));
+  assert.deepEqual(plain(images.map(image => image.getAttribute("src"))), [
+    "/api/placeholder/800/400",
+    "/api/placeholder/400/200",
+    "/api/placeholder/400/200",
+    "https://cdn.example/metro.jpg",
+  ]);
+});
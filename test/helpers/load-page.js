@@ -0,0 +1,51 @@
+// Runs the site's browser scripts in a jsdom window, the way the pages load them
+const fs = require("node:fs");
+const path = require("node:path");
+const { JSDOM, VirtualConsole } = require("jsdom");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(ROOT, "test", "fixtures", name), "utf8");
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.page] - Page to load (e.g. "index.html"); its own scripts are left out
+ * @param {string} [options.url] - Document URL
+ * @param {Array<string>} [options.scripts] - Repo scripts to run, in order
+ * @param {Array<string>} [options.exports] - Top-level names of the last script to return
+ * @param {Function} [options.beforeScripts] - Receives the window before any script runs,
+ *   to install stubs such as fetch
+ * @returns {Promise<Object>} { window, exports }
+ */
+async function loadPage({ page, url = "https://news.example/index.html", scripts = [], exports = [], beforeScripts } = {}) {
+  const html = page
+    ? fs.readFileSync(path.join(ROOT, page), "utf8").replace(/<script\b[^>]*>[\s\S]*?<\/script>/g, "")
+    : "<!DOCTYPE html><html><head></head><body></body></html>";
+
+  const { window } = new JSDOM(html, {
+    url,
+    runScripts: "outside-only",
+    pretendToBeVisual: true,
+    virtualConsole: new VirtualConsole(),
+  });
+
+  // Scripts run after DOMContentLoaded, so ads.js does not start the ad system
+  if (window.document.readyState !== "complete") {
+    await new Promise(resolve => window.addEventListener("load", resolve));
+  }
+
+  beforeScripts?.(window);
+  scripts.forEach((file, index) => {
+    let source = fs.readFileSync(path.join(ROOT, file), "utf8");
+    if (index === scripts.length - 1 && exports.length) {
+      source += `\n;window.__exports = { ${exports.join(", ")} };`;
+    }
+    window.eval(source);
+  });
+
+  return { window, exports: window.__exports || {} };
+}
+
+module.exports = { loadPage, readFixture };